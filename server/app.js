@@ -5,26 +5,100 @@ const cors = require('cors');
 const { 
   handleZohoWebhook, 
   handleAirtableWebhook, 
-  handleHealthCheck 
+  handleHealthCheck,
+  processZohoNotification,
+  processAirtableNotification
 } = require('./src/handlers/webhookHandlers');
+const { 
+  handleStartReconciliation, 
+  handleGetReconciliationReport, 
+  handleGetJob,
+  handleDriftReport,
+  handleListConflicts,
+  handleResolveConflict,
+  handleListDeletions,
+  handleReloadFieldMappings,
+  handleValidateFieldMappings,
+  processReconciliation 
+} = require('./src/handlers/adminHandlers');
+const { MAPPING_VALIDATION, loadZohoConfig, getZohoUrlProblem } = require('./src/config/config');
+const { validateMappingsAtStartup } = require('./src/services/mappingValidationService');
+const { startWatchChannelUpkeep } = require('./src/services/zohoWatchService');
+const { startAirtableWebhookUpkeep } = require('./src/services/airtableWebhookService');
+const { requireAdminToken } = require('./src/utils/webhookAuth');
+const { registerJobHandler, enqueueJob, startQueue } = require('./src/utils/jobQueue');
 
 const app = express();
 const PORT = 5000;
 
+// Keep the raw body around - Airtable signs the exact bytes it sent
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+
+// Background jobs
+registerJobHandler('zoho-notification', processZohoNotification);
+registerJobHandler('airtable-notification', processAirtableNotification, { coalesce: true });
+registerJobHandler('reconciliation', processReconciliation);
 
 // Routes
 app.post('/leads-notif', handleZohoWebhook);
 app.post('/airtable-notif', handleAirtableWebhook);
 app.get('/health', handleHealthCheck);
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`Zoho webhook endpoint: http://localhost:${PORT}/leads-notif`);
-  console.log(`Airtable webhook endpoint: http://localhost:${PORT}/airtable-notif`);
-});
+// Admin routes
+app.use('/admin', requireAdminToken);
+app.post('/admin/reconcile', handleStartReconciliation);
+app.get('/admin/reconcile', handleGetReconciliationReport);
+app.get('/admin/jobs/:id', handleGetJob);
+app.get('/admin/drift', handleDriftReport);
+app.get('/admin/conflicts', handleListConflicts);
+app.post('/admin/conflicts/:id/resolve', handleResolveConflict);
+app.get('/admin/deletions', handleListDeletions);
+app.post('/admin/field-mappings/reload', handleReloadFieldMappings);
+app.get('/admin/field-mappings/validate', handleValidateFieldMappings);
+
+// Don't guess where the Zoho org lives
+const zohoConfig = loadZohoConfig();
+const zohoUrlProblem = zohoConfig && getZohoUrlProblem(zohoConfig);
+if (zohoUrlProblem) {
+  console.error(`❌ ${zohoUrlProblem} (zoho-config.json)`);
+  process.exit(1);
+}
+
+// Check the field mappings before syncing anything. If they can't be checked at all,
+// only 'strict' mode keeps the server down.
+validateMappingsAtStartup()
+  .catch(error => {
+    console.error('❌ Could not validate field mappings:', error.message);
+    return MAPPING_VALIDATION !== 'strict';
+  })
+  .then(canStart => {
+    if (!canStart) {
+      process.exit(1);
+    }
+    
+    startQueue();
+    
+    app.listen(PORT, () => {
+      console.log(`Server running on http://localhost:${PORT}`);
+      console.log(`Zoho webhook endpoint: http://localhost:${PORT}/leads-notif`);
+      console.log(`Airtable webhook endpoint: http://localhost:${PORT}/airtable-notif`);
+      
+      // Catch up on Airtable changes that arrived while the server was down
+      enqueueJob('airtable-notification', { startup: true });
+      
+      // Make sure Zoho keeps notifying us, and renew the channel before it expires
+      startWatchChannelUpkeep();
+      
+      // Refresh the Airtable webhooks before they expire, and re-create any that broke
+      startAirtableWebhookUpkeep();
+    });
+  });
 
 module.exports = app;
\ No newline at end of file
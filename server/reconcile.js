@@ -0,0 +1,182 @@
+/**
+ * Reconciliation Script
+ * 
+ * This script helps with:
+ * 1. Backfilling: pairing all Zoho leads with Airtable records by "Zoho CRM ID",
+ *    creating missing counterparts and bringing mapped fields in line
+ * 2. Drift reports: listing where the two systems disagree, without writing anything
+ * 
+ * Usage: 
+ * - Reconcile (configured source of truth): node reconcile.js run
+ * - Reconcile with Zoho or Airtable winning: node reconcile.js run zoho|airtable
+ * - Drift report as JSON or CSV: node reconcile.js drift [json|csv]
+ * - Older forms still work: node reconcile.js [zoho|airtable] is the same as "run"
+ * 
+ * Runs go through the sync server (SYNC_SERVER_URL, default http://localhost:5000, with
+ * SYNC_ADMIN_TOKEN) when it is running: it keeps the loop-prevention echoes, record links
+ * and synced values in memory, so writes made from this process would come back to it
+ * as changes, and its next save would overwrite what this process saved.
+ */
+
+const axios = require('axios');
+const { ADMIN_TOKEN } = require('./src/config/config');
+const {
+  runReconciliation,
+  buildDriftReport,
+  driftReportToCsv,
+  saveReport
+} = require('./src/services/reconciliationService');
+
+const SERVER_URL = process.env.SYNC_SERVER_URL || 'http://localhost:5000';
+const POLL_INTERVAL_MS = 5000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Call an admin endpoint of the sync server
+ * @param {string} method - 'get' or 'post'
+ * @param {string} path - e.g. /admin/reconcile
+ * @param {Object} body - Request body for POSTs
+ * @returns {Promise<Object|null>} - The response body, or null for a 404
+ */
+async function requestServer(method, path, body = undefined) {
+  try {
+    const response = await axios({
+      method,
+      url: `${SERVER_URL}${path}`,
+      data: body,
+      headers: { 'Authorization': `Bearer ${ADMIN_TOKEN}` }
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    if (error.response) {
+      const reason = error.response.data && error.response.data.error;
+      throw new Error(`Sync server answered ${error.response.status}${reason ? ` - ${reason}` : ''}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run a full reconciliation on the sync server and wait for its report
+ * @param {string} sourceOfTruth - 'zoho', 'airtable' or undefined for the configured default
+ * @returns {Promise<number>} - Exit code: non-zero if anything failed
+ */
+async function reconcileOnServer(sourceOfTruth) {
+  const previous = await requestServer('get', '/admin/reconcile');
+  const job = await requestServer('post', '/admin/reconcile', { sourceOfTruth });
+  console.log(`📥 Reconciliation queued on ${SERVER_URL} (job ${job.jobId}) - waiting for it to finish...`);
+  
+  // Completed jobs leave the queue
+  for (;;) {
+    await sleep(POLL_INTERVAL_MS);
+    const state = await requestServer('get', `/admin/jobs/${job.jobId}`);
+    if (!state) {
+      break;
+    }
+    if (state.status === 'failed') {
+      console.error(`❌ Reconciliation failed after ${state.attempts} attempt(s): ${state.lastError}`);
+      return 1;
+    }
+  }
+  
+  const report = await requestServer('get', '/admin/reconcile');
+  if (!report || (previous && report.startedAt === previous.startedAt)) {
+    console.error('❌ Reconciliation finished without a new report - see the server log');
+    return 1;
+  }
+  
+  console.log(`✅ Reconciliation finished: ${report.pairsUpdated} pair(s) updated, ${report.createdInAirtable} created in Airtable, ${report.createdInZoho} in Zoho, ${report.errors.length} error(s)`);
+  if (report.reportPath) {
+    console.log(`Report saved to ${report.reportPath}`);
+  }
+  return report.errors.length > 0 ? 1 : 0;
+}
+
+/**
+ * Run a full reconciliation and exit non-zero if anything failed. Without a running
+ * sync server, it runs in this process.
+ * @param {string} sourceOfTruth - 'zoho', 'airtable' or undefined for the configured default
+ */
+async function reconcile(sourceOfTruth) {
+  try {
+    return await reconcileOnServer(sourceOfTruth);
+  } catch (error) {
+    if (error.code !== 'ECONNREFUSED') {
+      throw error;
+    }
+  }
+  
+  console.log(`ℹ️  No sync server at ${SERVER_URL} - reconciling in this process`);
+  const summary = await runReconciliation({ sourceOfTruth });
+  return summary.errors.length > 0 ? 1 : 0;
+}
+
+/**
+ * Build a drift report, save it and print where it was written
+ * @param {string} format - 'json' or 'csv'
+ */
+async function drift(format = 'json') {
+  const report = await buildDriftReport();
+  const reportPath = format === 'csv'
+    ? saveReport('drift', driftReportToCsv(report), 'csv')
+    : saveReport('drift', report);
+  
+  if (reportPath) {
+    console.log(`Drift report saved to ${reportPath}`);
+  }
+  return 0;
+}
+
+/**
+ * Main function to run the script
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'run';
+  let exitCode = 0;
+  
+  try {
+    switch (command) {
+      case 'run':
+        exitCode = await reconcile(args[1]);
+        break;
+      
+      // Scheduled runs from before the subcommands call "node reconcile.js [zoho|airtable]"
+      case 'zoho':
+      case 'airtable':
+        exitCode = await reconcile(command);
+        break;
+      
+      case 'drift':
+        exitCode = await drift(args[1]);
+        break;
+      
+      case 'help':
+      default:
+        if (command !== 'help') {
+          console.error(`❌ Unknown command "${command}"`);
+          exitCode = 1;
+        }
+        console.log('\nReconciliation Script Usage:');
+        console.log('  node reconcile.js run [zoho|airtable]  - Reconcile all records (optionally overriding the source of truth)');
+        console.log('  node reconcile.js [zoho|airtable]      - Same as run (the default command)');
+        console.log('  node reconcile.js drift [json|csv]     - Write a read-only drift report');
+        console.log('  node reconcile.js help                 - Show this help message');
+        console.log(`\nRuns are handed to the sync server at ${SERVER_URL} (SYNC_SERVER_URL) when it is running.`);
+        break;
+    }
+  } catch (error) {
+    console.error(`❌ ${command} failed:`, error.message);
+    exitCode = 1;
+  }
+  
+  process.exit(exitCode);
+}
+
+main();
\ No newline at end of file
@@ -12,6 +12,31 @@ const FIELD_MAPPING = {
   }
 };
 
+// Which way a mapped field syncs, from the "Sync Direction" column of the Zoho Fields table
+const SYNC_DIRECTIONS = {
+  BIDIRECTIONAL: 'bidirectional',
+  ZOHO_TO_AIRTABLE: 'zoho-to-airtable',
+  AIRTABLE_TO_ZOHO: 'airtable-to-zoho',
+  DISABLED: 'disabled'
+};
+
+// Airtable field where sync problems for a record are reported
+const SYNC_ERROR_FIELD = 'Sync Error';
+
+// Airtable "last modified time" field, used to tell when a record last changed
+const AIRTABLE_LAST_MODIFIED_FIELD = 'Last Modified Time';
+
+// Airtable table ("Zoho Fields") listing which Zoho field maps to which Airtable field.
+// Can be overridden with "mappingTableId" in airtable-config.json.
+const FIELD_MAPPING_TABLE_ID = 'tbl0JfUjWhV4TvLz2';
+
+// Airtable fields that receive the IDs a Zoho lead was converted into
+const CONVERSION_FIELDS = {
+  contact: 'Zoho Contact ID',
+  account: 'Zoho Account ID',
+  deal: 'Zoho Deal ID'
+};
+
 // Fields to ignore during sync (computed fields, timestamps, etc.)
 const IGNORED_FIELDS = {
   zoho: [
@@ -37,6 +62,144 @@ const IGNORED_FIELDS = {
   ]
 };
 
+// Directory for local runtime state (job queue, etc.)
+const DATA_DIR = path.join(__dirname, '../../data');
+
+// Background job queue settings, overridable through environment variables
+const QUEUE_SETTINGS = {
+  concurrency: parseInt(process.env.SYNC_QUEUE_CONCURRENCY, 10) || 2,
+  maxAttempts: parseInt(process.env.SYNC_QUEUE_MAX_ATTEMPTS, 10) || 5,
+  retryBaseDelayMs: parseInt(process.env.SYNC_QUEUE_RETRY_DELAY_MS, 10) || 2000,
+  pollIntervalMs: 1000,
+  // Failed jobs are kept for inspection, the most recent ones only
+  maxFailedJobs: parseInt(process.env.SYNC_QUEUE_MAX_FAILED_JOBS, 10) || 50
+};
+
+// Field updates are held for a short window so that changes to the same record merge
+// into one update and updates across records go out together, up to each API's limit
+const WRITE_BATCHING = {
+  windowMs: parseInt(process.env.SYNC_WRITE_BATCH_WINDOW_MS, 10) || 250,
+  maxRecords: {
+    airtable: 10,  // Airtable accepts 10 records per request
+    zoho: 100      // Zoho accepts 100 records per request
+  }
+};
+
+// API limits and retries for outgoing requests. Airtable allows 5 requests per second per
+// base; Zoho limits how many requests an org may have in flight at once.
+const HTTP_SETTINGS = {
+  maxRetries: parseInt(process.env.SYNC_HTTP_MAX_RETRIES, 10) || 4,
+  retryBaseDelayMs: parseInt(process.env.SYNC_HTTP_RETRY_DELAY_MS, 10) || 500,
+  maxRetryDelayMs: 60 * 1000,
+  airtable: {
+    requestsPerSecond: 5,
+    rateLimitDelayMs: 30 * 1000  // Airtable rejects every request for 30s after a 429
+  },
+  zoho: {
+    maxConcurrent: parseInt(process.env.SYNC_ZOHO_MAX_CONCURRENT, 10) || 5,
+    rateLimitDelayMs: 2 * 1000
+  }
+};
+
+// Loop prevention settings: which store keeps expected echoes and how long to wait for them
+const LOOP_PREVENTION = {
+  store: process.env.SYNC_ECHO_STORE || 'file', // memory, file or sqlite
+  ttlMs: {
+    zoho: parseInt(process.env.SYNC_ECHO_TTL_ZOHO_MS, 10) || 15 * 60 * 1000,
+    airtable: parseInt(process.env.SYNC_ECHO_TTL_AIRTABLE_MS, 10) || 15 * 60 * 1000,
+    default: 15 * 60 * 1000
+  }
+};
+
+// What to do with the counterpart when a record is deleted on one side:
+//   'hard'   - delete the counterpart record
+//   'soft'   - keep it, but set softDeleteField to softDeleteValue
+//   'unlink' - keep it untouched and only drop the link between the two records
+const DELETION_POLICY = {
+  zohoToAirtable: {
+    action: process.env.SYNC_DELETE_ZOHO_TO_AIRTABLE || 'unlink',
+    softDeleteField: 'Sync Status',
+    softDeleteValue: 'Deleted in Zoho'
+  },
+  airtableToZoho: {
+    action: process.env.SYNC_DELETE_AIRTABLE_TO_ZOHO || 'unlink',
+    // Soft delete field per Zoho module. Contacts and Accounts have no standard status
+    // field - soft deletes are refused for them (and any module not listed) until one
+    // is added here, e.g. Contacts: { softDeleteField: 'Contact_Status', softDeleteValue: 'Deleted' }
+    modules: {
+      Leads: { softDeleteField: 'Lead_Status', softDeleteValue: 'Junk Lead' },
+      Deals: { softDeleteField: 'Stage', softDeleteValue: 'Closed Lost' }
+    }
+  }
+};
+
+// Reconciliation (backfill) settings: which side wins when mapped fields disagree,
+// and whether records missing on one side get created
+const RECONCILIATION_POLICY = {
+  sourceOfTruth: process.env.SYNC_SOURCE_OF_TRUTH || 'zoho', // zoho or airtable
+  createMissing: {
+    inAirtable: true,
+    inZoho: true
+  }
+};
+
+// What to do when a field was changed on both sides since we last synced it:
+//   'last-writer-wins' - keep the value that was changed most recently
+//   'zoho-wins'        - always keep the Zoho value
+//   'airtable-wins'    - always keep the Airtable value
+//   'manual'           - change neither side and list the conflict for an admin to resolve
+const CONFLICT_POLICY = process.env.SYNC_CONFLICT_POLICY || 'last-writer-wins';
+
+// Zoho data centers. An org lives in one of them, and its OAuth tokens only work with
+// that data center's accounts server and API domain.
+const ZOHO_DATA_CENTERS = {
+  US: { accountsUrl: 'https://accounts.zoho.com', apiDomain: 'https://www.zohoapis.com' },
+  EU: { accountsUrl: 'https://accounts.zoho.eu', apiDomain: 'https://www.zohoapis.eu' },
+  IN: { accountsUrl: 'https://accounts.zoho.in', apiDomain: 'https://www.zohoapis.in' },
+  AU: { accountsUrl: 'https://accounts.zoho.com.au', apiDomain: 'https://www.zohoapis.com.au' },
+  JP: { accountsUrl: 'https://accounts.zoho.jp', apiDomain: 'https://www.zohoapis.jp' },
+  CA: { accountsUrl: 'https://accounts.zohocloud.ca', apiDomain: 'https://www.zohoapis.ca' },
+  CN: { accountsUrl: 'https://accounts.zoho.com.cn', apiDomain: 'https://www.zohoapis.com.cn' }
+};
+
+// Zoho notification channel upkeep. Zoho lets a channel live for at most a week, so it's
+// renewed for channelTtlMs whenever less than renewBeforeMs is left; the channel is
+// checked against Zoho every checkIntervalMs.
+const ZOHO_WATCH = {
+  channelTtlMs: 6 * 24 * 60 * 60 * 1000,
+  renewBeforeMs: 24 * 60 * 60 * 1000,
+  checkIntervalMs: parseInt(process.env.SYNC_ZOHO_WATCH_CHECK_INTERVAL_MS, 10) || 60 * 60 * 1000
+};
+
+// Airtable webhooks expire 7 days after they were created or last refreshed. They're
+// refreshed, and checked for disabled notifications or a changed URL, every checkIntervalMs.
+const AIRTABLE_WEBHOOKS = {
+  checkIntervalMs: parseInt(process.env.SYNC_AIRTABLE_WEBHOOK_CHECK_INTERVAL_MS, 10) || 12 * 60 * 60 * 1000
+};
+
+// Token required on /admin endpoints (admin endpoints are disabled without it)
+const ADMIN_TOKEN = process.env.SYNC_ADMIN_TOKEN || '';
+
+// Time zone of the Zoho org (IANA name). Dates are converted in this zone, so a date
+// entered on one side lands on the same calendar day on the other.
+const ORG_TIME_ZONE = process.env.SYNC_TIME_ZONE || 'UTC';
+
+// Phone numbers are stored in E.164 (+15551234567). Numbers typed without a country
+// code are read as numbers from this country (ISO 3166 alpha-2).
+const PHONE_SETTINGS = {
+  defaultCountry: (process.env.SYNC_PHONE_DEFAULT_COUNTRY || 'US').toUpperCase()
+};
+
+// How long field mappings, the Airtable base schema and Zoho field types are cached
+// before they're fetched again
+const FIELD_METADATA_TTL_MS = parseInt(process.env.SYNC_FIELD_METADATA_TTL_MS, 10) || 10 * 60 * 1000;
+
+// How rows of the Zoho Fields table are checked against the live Zoho and Airtable fields:
+//   'strict' - the server refuses to start while any mapping is invalid
+//   'mark'   - invalid mappings are reported and left out of syncing
+//   'off'    - mappings are used as they are
+const MAPPING_VALIDATION = process.env.SYNC_MAPPING_VALIDATION || 'mark';
+
 // Load Zoho config
 function loadZohoConfig() {
   try {
@@ -61,11 +224,88 @@ function loadAirtableConfig() {
   }
 }
 
-// Save Zoho config
+// Host of a URL, lowercased
+function getUrlHost(url) {
+  return String(url).trim().replace(/^https?:\/\//i, '').replace(/\/.*$/, '').toLowerCase();
+}
+
+// Data center whose accounts server or API domain a URL points at (null if none). Other
+// hosts under a data center's domains count too, e.g. sandbox.zohoapis.com or zohoapis.eu.
+function findZohoDataCenter(url) {
+  if (!url) {
+    return null;
+  }
+  
+  const host = getUrlHost(url);
+  const match = Object.entries(ZOHO_DATA_CENTERS).find(([, urls]) =>
+    [urls.accountsUrl, urls.apiDomain].some(dataCenterUrl => {
+      const domain = getUrlHost(dataCenterUrl).replace(/^(www|accounts)\./, '');
+      return host === domain || host.endsWith(`.${domain}`);
+    }));
+  return match ? match[0] : null;
+}
+
+// "apiDomain" of zoho-config.json when it isn't a data center's standard API domain (e.g.
+// a sandbox) - used as it is. null when unset or standard: configs used to default it to
+// the US domain, so the data center decides then.
+function getCustomApiDomain(zohoConfig) {
+  const apiDomain = String(zohoConfig.apiDomain || '').trim().replace(/\/+$/, '');
+  const isStandard = Object.values(ZOHO_DATA_CENTERS).some(urls => urls.apiDomain === apiDomain.toLowerCase());
+  return apiDomain && !isStandard ? apiDomain : null;
+}
+
+// Data center of the Zoho org: "dataCenter" in zoho-config.json, or for configs written
+// before it existed, the one "apiDomain" points at. Defaults to US.
+function getZohoDataCenter(zohoConfig) {
+  const dataCenter = String(zohoConfig.dataCenter || '').toUpperCase();
+  if (ZOHO_DATA_CENTERS[dataCenter]) {
+    return dataCenter;
+  }
+  return findZohoDataCenter(zohoConfig.apiDomain) || 'US';
+}
+
+// Accounts server and API domain ({ accountsUrl, apiDomain }) of the Zoho org
+function getZohoUrls(zohoConfig) {
+  const urls = ZOHO_DATA_CENTERS[getZohoDataCenter(zohoConfig)];
+  const customApiDomain = getCustomApiDomain(zohoConfig);
+  return customApiDomain ? { ...urls, apiDomain: customApiDomain } : urls;
+}
+
+// Why the Zoho URLs can't be worked out from zoho-config.json, or null if they can. Checked
+// at startup rather than guessing the US data center.
+function getZohoUrlProblem(zohoConfig) {
+  const dataCenters = Object.keys(ZOHO_DATA_CENTERS).join(', ');
+  const dataCenter = String(zohoConfig.dataCenter || '').toUpperCase();
+  if (dataCenter && !ZOHO_DATA_CENTERS[dataCenter]) {
+    return `Unknown Zoho data center "${zohoConfig.dataCenter}" - use one of ${dataCenters}`;
+  }
+  
+  const customApiDomain = getCustomApiDomain(zohoConfig);
+  if (!customApiDomain) {
+    return null;
+  }
+  if (!/^https:\/\/[^/\s]+$/i.test(customApiDomain)) {
+    return `Zoho "apiDomain" ${customApiDomain} is not an https:// URL without a path`;
+  }
+  
+  const apiDataCenter = findZohoDataCenter(customApiDomain);
+  if (!dataCenter && !apiDataCenter) {
+    return `Zoho "apiDomain" ${customApiDomain} is not in a known data center - set "dataCenter" (${dataCenters}) so the right accounts server is used`;
+  }
+  if (dataCenter && apiDataCenter && apiDataCenter !== dataCenter) {
+    return `Zoho "apiDomain" ${customApiDomain} is in the ${apiDataCenter} data center, but "dataCenter" is ${dataCenter}`;
+  }
+  return null;
+}
+
+// Save Zoho config. Written to a temporary file first and renamed into place, so a
+// crash mid-write can't leave a truncated config (and a lost refresh token) behind.
 function saveZohoConfig(config) {
   try {
     const configPath = path.join(__dirname, '../../../setup/zoho-config.json');
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    const tmpPath = `${configPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(config, null, 2));
+    fs.renameSync(tmpPath, configPath);
     return true;
   } catch (error) {
     console.error('Error saving Zoho config:', error.message);
@@ -73,6 +313,59 @@ function saveZohoConfig(config) {
   }
 }
 
+// Save Airtable config (through a temporary file, like the Zoho config)
+function saveAirtableConfig(config) {
+  try {
+    const configPath = path.join(__dirname, '../../../setup/airtable-config.json');
+    const tmpPath = `${configPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(config, null, 2));
+    fs.renameSync(tmpPath, configPath);
+    return true;
+  } catch (error) {
+    console.error('Error saving Airtable config:', error.message);
+    return false;
+  }
+}
+
+// Zoho module synced with the table named in airtable-config.json
+const DEFAULT_MODULE = 'Leads';
+
+// Every synced Zoho module and the Airtable table it maps to. Leads use the table from
+// airtable-config.json; other modules come from its "tables" section, e.g.
+//   "tables": { "Contacts": { "tableName": "Contacts", "tableId": "tbl..." } }
+function getSyncPairs(airtableConfig = loadAirtableConfig()) {
+  if (!airtableConfig) {
+    return [];
+  }
+  
+  const tables = {
+    [DEFAULT_MODULE]: { tableName: airtableConfig.tableName, tableId: airtableConfig.tableId },
+    ...(airtableConfig.tables || {})
+  };
+  
+  return Object.entries(tables).map(([module, table]) => ({
+    module,
+    tableName: table.tableName,
+    tableId: table.tableId
+  }));
+}
+
+// Airtable config pointed at the table a Zoho module syncs with (null if not synced)
+function getAirtableConfigForModule(module, airtableConfig = loadAirtableConfig()) {
+  const pair = getSyncPairs(airtableConfig).find(p => p.module === module);
+  if (!pair) {
+    return null;
+  }
+  
+  return { ...airtableConfig, tableName: pair.tableName, tableId: pair.tableId };
+}
+
+// Zoho module whose records live in an Airtable table (null if the table isn't synced)
+function getModuleForTable(tableId, airtableConfig = loadAirtableConfig()) {
+  const pair = getSyncPairs(airtableConfig).find(p => p.tableId === tableId);
+  return pair ? pair.module : null;
+}
+
 // Helper function to check if a field should be ignored
 function shouldIgnoreField(fieldName, system) {
   const ignoredFields = IGNORED_FIELDS[system] || [];
@@ -84,31 +377,143 @@ function filterIgnoredFields(fieldNames, system) {
   return fieldNames.filter(fieldName => !shouldIgnoreField(fieldName, system));
 }
 
-// Get dynamic field mapping (or fall back to static mapping)
-async function getFieldMapping() {
+// Read a "Sync Direction" cell ("Bidirectional", "Zoho → Airtable", "Airtable -> Zoho",
+// "Disabled", ...). Empty cells sync both ways; anything unrecognized is disabled.
+function parseSyncDirection(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return SYNC_DIRECTIONS.BIDIRECTIONAL;
+  }
+  
+  const text = String(value).trim().toLowerCase();
+  if (/^(bi-?directional|both|two[- ]way|zoho\s*(↔|<->)\s*airtable|airtable\s*(↔|<->)\s*zoho)$/.test(text)) {
+    return SYNC_DIRECTIONS.BIDIRECTIONAL;
+  }
+  if (/^zoho\s*(→|->|to)\s*airtable$/.test(text) || text === SYNC_DIRECTIONS.ZOHO_TO_AIRTABLE) {
+    return SYNC_DIRECTIONS.ZOHO_TO_AIRTABLE;
+  }
+  if (/^airtable\s*(→|->|to)\s*zoho$/.test(text) || text === SYNC_DIRECTIONS.AIRTABLE_TO_ZOHO) {
+    return SYNC_DIRECTIONS.AIRTABLE_TO_ZOHO;
+  }
+  if (text !== SYNC_DIRECTIONS.DISABLED && text !== 'off' && text !== 'none') {
+    console.warn(`⚠️  Unknown sync direction "${value}" - treating the field as disabled`);
+  }
+  return SYNC_DIRECTIONS.DISABLED;
+}
+
+// Whether a mapping lets changes flow out of the given system ('zoho' or 'airtable').
+// Mappings that failed validation don't sync at all.
+function allowsSyncFrom(mapping, source) {
+  if (mapping.problems) {
+    return false;
+  }
+  
+  const direction = mapping.direction || SYNC_DIRECTIONS.BIDIRECTIONAL;
+  if (direction === SYNC_DIRECTIONS.BIDIRECTIONAL) {
+    return true;
+  }
+  
+  return source === 'zoho'
+    ? direction === SYNC_DIRECTIONS.ZOHO_TO_AIRTABLE
+    : direction === SYNC_DIRECTIONS.AIRTABLE_TO_ZOHO;
+}
+
+// ID of the Zoho Fields mapping table
+function getMappingTableId(airtableConfig = loadAirtableConfig()) {
+  return (airtableConfig && airtableConfig.mappingTableId) || FIELD_MAPPING_TABLE_ID;
+}
+
+// Field mappings per Zoho module: { mapping, expiresAt }
+const fieldMappingCache = {};
+
+// Get dynamic field mapping for a Zoho module (or fall back to static mapping).
+// Mappings are cached for FIELD_METADATA_TTL_MS; a failed fetch is retried on the next call.
+async function getFieldMapping(module = DEFAULT_MODULE) {
+  const cached = fieldMappingCache[module];
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.mapping;
+  }
+  
+  let mapping = null;
   try {
     const { fetchDynamicFieldMapping } = require('../services/airtableService');
-    const dynamicMapping = await fetchDynamicFieldMapping();
+    const dynamicMapping = await fetchDynamicFieldMapping(null, module);
     
     if (dynamicMapping && Object.keys(dynamicMapping).length > 0) {
-      console.log('📋 Using dynamic field mapping from Zoho Fields table');
-      return dynamicMapping;
+      console.log(`📋 Using dynamic field mapping from Zoho Fields table (${module})`);
+      mapping = dynamicMapping;
+    } else if (dynamicMapping) {
+      console.log(`📋 No rows for ${module} in the Zoho Fields table - using static field mapping`);
+      mapping = FIELD_MAPPING;
     }
   } catch (error) {
     console.log('⚠️  Could not fetch dynamic field mapping, using static mapping');
   }
   
-  console.log('📋 Using static field mapping');
-  return FIELD_MAPPING;
+  if (!mapping) {
+    console.log('📋 Using static field mapping');
+    return FIELD_MAPPING;
+  }
+  
+  // Flag rows that point at missing, incompatible or read-only fields
+  if (MAPPING_VALIDATION !== 'off') {
+    const { markInvalidMappings } = require('../services/mappingValidationService');
+    mapping = await markInvalidMappings(module, mapping);
+  }
+  
+  fieldMappingCache[module] = { mapping, expiresAt: Date.now() + FIELD_METADATA_TTL_MS };
+  return mapping;
+}
+
+// Forget cached field mappings (all modules, or one)
+function clearFieldMappingCache(module = null) {
+  for (const cachedModule of Object.keys(fieldMappingCache)) {
+    if (!module || cachedModule === module) {
+      delete fieldMappingCache[cachedModule];
+    }
+  }
 }
 
 module.exports = {
   FIELD_MAPPING,
+  SYNC_DIRECTIONS,
+  SYNC_ERROR_FIELD,
+  AIRTABLE_LAST_MODIFIED_FIELD,
+  FIELD_MAPPING_TABLE_ID,
+  CONVERSION_FIELDS,
   IGNORED_FIELDS,
+  DATA_DIR,
+  QUEUE_SETTINGS,
+  WRITE_BATCHING,
+  HTTP_SETTINGS,
+  LOOP_PREVENTION,
+  DELETION_POLICY,
+  RECONCILIATION_POLICY,
+  CONFLICT_POLICY,
+  ZOHO_DATA_CENTERS,
+  ZOHO_WATCH,
+  AIRTABLE_WEBHOOKS,
+  ADMIN_TOKEN,
+  ORG_TIME_ZONE,
+  PHONE_SETTINGS,
+  FIELD_METADATA_TTL_MS,
+  MAPPING_VALIDATION,
   loadZohoConfig,
   loadAirtableConfig,
   saveZohoConfig,
+  findZohoDataCenter,
+  getZohoDataCenter,
+  getZohoUrls,
+  getZohoUrlProblem,
+  saveAirtableConfig,
+  DEFAULT_MODULE,
+  getSyncPairs,
+  getAirtableConfigForModule,
+  getModuleForTable,
   shouldIgnoreField,
   filterIgnoredFields,
-  getFieldMapping
+  parseSyncDirection,
+  allowsSyncFrom,
+  getMappingTableId,
+  getFieldMapping,
+  clearFieldMappingCache
 };
\ No newline at end of file
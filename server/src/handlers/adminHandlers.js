@@ -0,0 +1,166 @@
+const { getSyncPairs, getFieldMapping } = require('../config/config');
+const { enqueueJob, getJob } = require('../utils/jobQueue');
+const { 
+  runReconciliation, 
+  buildDriftReport, 
+  driftReportToCsv, 
+  loadLatestReport 
+} = require('../services/reconciliationService');
+const { listConflicts } = require('../services/conflictService');
+const { getDeletionAudit } = require('../services/deletionService');
+const { resolveConflict } = require('../services/syncService');
+const { getFieldTypes, clearFieldMetadata } = require('../services/fieldTypeService');
+const { validateFieldMappings } = require('../services/mappingValidationService');
+
+// Start a reconciliation run in the background
+function handleStartReconciliation(req, res) {
+  const sourceOfTruth = req.body && req.body.sourceOfTruth;
+  if (sourceOfTruth && !['zoho', 'airtable'].includes(sourceOfTruth)) {
+    return res.status(400).json({ error: 'sourceOfTruth must be "zoho" or "airtable"' });
+  }
+  
+  const job = enqueueJob('reconciliation', { sourceOfTruth: sourceOfTruth || null });
+  if (!job) {
+    return res.status(500).json({ error: 'Unable to queue reconciliation' });
+  }
+  
+  res.status(202).json({ 
+    status: 'queued',
+    jobId: job.id,
+    message: 'Reconciliation started - fetch GET /admin/reconcile for the report' 
+  });
+}
+
+// Return the report of the most recent reconciliation run
+function handleGetReconciliationReport(req, res) {
+  const report = loadLatestReport('reconciliation');
+  if (!report) {
+    return res.status(404).json({ error: 'No reconciliation report yet' });
+  }
+  
+  res.json(report);
+}
+
+// State of a queued job (e.g. a reconciliation). Completed jobs leave the queue, so
+// 404 means it finished (or never existed).
+function handleGetJob(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'No queued job with that ID - it may have completed' });
+  }
+  
+  res.json(job);
+}
+
+// Build a read-only drift report (JSON by default, CSV with ?format=csv)
+async function handleDriftReport(req, res) {
+  try {
+    const report = await buildDriftReport();
+    
+    if (req.query.format === 'csv') {
+      res.type('text/csv');
+      return res.send(driftReportToCsv(report));
+    }
+    
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Error building drift report:', error.message);
+    res.status(502).json({ error: error.message });
+  }
+}
+
+// List sync conflicts (all, or only ?status=open / ?status=resolved)
+function handleListConflicts(req, res) {
+  const status = req.query.status;
+  if (status && !['open', 'resolved'].includes(status)) {
+    return res.status(400).json({ error: 'status must be "open" or "resolved"' });
+  }
+  
+  const conflicts = listConflicts(status || null);
+  res.json({ count: conflicts.length, conflicts });
+}
+
+// List the most recent deletions and what the deletion policy did (?limit=, default 100)
+function handleListDeletions(req, res) {
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({ error: 'limit must be a positive whole number' });
+  }
+  
+  const deletions = getDeletionAudit(limit);
+  res.json({ count: deletions.length, deletions });
+}
+
+// Resolve an open conflict by keeping the Zoho or the Airtable value
+async function handleResolveConflict(req, res) {
+  const winner = req.body && req.body.winner;
+  if (!['zoho', 'airtable'].includes(winner)) {
+    return res.status(400).json({ error: 'winner must be "zoho" or "airtable"' });
+  }
+  
+  try {
+    const conflict = await resolveConflict(req.params.id, winner);
+    if (!conflict) {
+      return res.status(404).json({ error: 'No open conflict with that ID' });
+    }
+    
+    res.json(conflict);
+  } catch (error) {
+    console.error('❌ Error resolving conflict:', error.message);
+    res.status(502).json({ error: error.message });
+  }
+}
+
+// Drop cached field mappings and schemas and read them again for every synced module
+async function handleReloadFieldMappings(req, res) {
+  clearFieldMetadata();
+  
+  try {
+    const modules = [];
+    for (const { module, tableName } of getSyncPairs()) {
+      const fieldMapping = await getFieldMapping(module);
+      const fieldTypes = await getFieldTypes(module);
+      modules.push({
+        module,
+        tableName,
+        mappedFields: Object.keys(fieldMapping).length,
+        airtableFields: new Set(Object.values(fieldTypes.airtable).map(field => field.id)).size,
+        zohoFields: Object.keys(fieldTypes.zoho).length
+      });
+    }
+    
+    res.json({ status: 'reloaded', modules });
+  } catch (error) {
+    console.error('❌ Error reloading field mappings:', error.message);
+    res.status(502).json({ error: error.message });
+  }
+}
+
+// Check every field mapping against the live Zoho and Airtable fields
+async function handleValidateFieldMappings(req, res) {
+  try {
+    const report = await validateFieldMappings();
+    res.status(report.valid ? 200 : 422).json(report);
+  } catch (error) {
+    console.error('❌ Error validating field mappings:', error.message);
+    res.status(502).json({ error: error.message });
+  }
+}
+
+// Run a queued reconciliation job
+async function processReconciliation({ sourceOfTruth }) {
+  await runReconciliation({ sourceOfTruth: sourceOfTruth || undefined });
+}
+
+module.exports = {
+  handleStartReconciliation,
+  handleGetReconciliationReport,
+  handleGetJob,
+  handleDriftReport,
+  handleListConflicts,
+  handleResolveConflict,
+  handleListDeletions,
+  handleReloadFieldMappings,
+  handleValidateFieldMappings,
+  processReconciliation
+};
\ No newline at end of file
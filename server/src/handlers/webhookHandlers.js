@@ -1,154 +1,214 @@
-const { loadZohoConfig, loadAirtableConfig } = require('../config/config');
-const { getLeadDetails, getChangedFields, logLeadDetails } = require('../services/zohoService');
-const { processChangedTables, fetchWebhookPayloads } = require('../services/airtableService');
-const { createAirtableRecordFromZohoLead, handleZohoLeadUpdate, handleAirtableRecordUpdate } = require('../services/syncService');
+const { loadZohoConfig, loadAirtableConfig, DEFAULT_MODULE, getAirtableConfigForModule } = require('../config/config');
+const { getRecordDetails, getChangedFields, logLeadDetails } = require('../services/zohoService');
+const { handleZohoRecordDeletion } = require('../services/deletionService');
+const { getConversionFromLead, handleZohoLeadConversion, detectLeadConversion } = require('../services/conversionService');
+const { RECORD_CREATED, consumeExpectedEcho } = require('../utils/syncTracker');
+const { enqueueJob, enqueueJobs, getQueueStats } = require('../utils/jobQueue');
+const { getHttpStats } = require('../utils/httpClient');
+const { getWatchChannelState } = require('../services/zohoWatchService');
+const { getAirtableWebhookState } = require('../services/airtableWebhookService');
+const { verifyZohoWebhook, verifyAirtableWebhook, rejectUnauthenticated } = require('../utils/webhookAuth');
+const { createAirtableRecordFromZohoRecord, handleZohoRecordUpdate, syncAirtablePayloads } = require('../services/syncService');
+const { clearFieldMetadata } = require('../services/fieldTypeService');
 
 // Zoho webhook handler
 async function handleZohoWebhook(req, res) {
-  console.log('Received Zoho notification:', JSON.stringify(req.body, null, 2));
-  
   const config = loadZohoConfig();
   if (!config) {
     return res.status(500).json({ error: 'Unable to load Zoho config' });
   }
   
-  // Process each lead ID in the notification
-  if (req.body.ids && req.body.ids.length > 0) {
-    for (const leadId of req.body.ids) {
-      console.log(`\n=== Processing Lead ID: ${leadId} ===`);
-      console.log('Operation:', req.body.operation);
-      
-      // Log affected fields for this specific lead
-      if (req.body.affected_fields) {
-        const leadAffectedFields = req.body.affected_fields.find(item => item[leadId]);
-        if (leadAffectedFields && leadAffectedFields[leadId]) {
-          console.log('Affected Fields:', leadAffectedFields[leadId]);
-        }
-      }
-      
-      const leadDetails = await getLeadDetails(leadId, config);
-      if (leadDetails) {
-        console.log('Lead Details:', JSON.stringify(leadDetails, null, 2));
-        
-        // Extract specific fields for processing
-        const lead = leadDetails.data[0];
-        logLeadDetails(lead);
-        
-        // Handle different operations
-        if (req.body.operation === 'create') {
-          // New lead created - create corresponding Airtable record
-          console.log(`🆕 New lead created in Zoho: ${leadId}`);
-          await createAirtableRecordFromZohoLead(leadId, lead);
-        } else if (req.body.operation === 'update') {
-          // Lead updated - check for phone field changes
-          const changedFieldsInfo = getChangedFields(leadId, lead, req.body.affected_fields);
-          await handleZohoLeadUpdate(leadId, lead, changedFieldsInfo);
-        }
-      }
-    }
+  if (!verifyZohoWebhook(req, config)) {
+    return rejectUnauthenticated(req, res, 'Zoho');
+  }
+  
+  console.log('Received Zoho notification:', JSON.stringify(req.body, null, 2));
+  
+  // Only modules paired with an Airtable table are synced
+  const module = req.body.module || DEFAULT_MODULE;
+  if (!getAirtableConfigForModule(module)) {
+    console.log(`⏭️  Ignoring ${module} notification - no Airtable table configured for this module`);
+    return res.status(200).json({ 
+      status: 'success',
+      message: `Notification received, module ${module} is not synced` 
+    });
+  }
+  
+  // Queue one job per record so each is processed (and retried) on its own
+  const payloads = (req.body.ids || []).map(leadId => ({
+    module,
+    leadId,
+    operation: req.body.operation,
+    affectedFields: req.body.affected_fields || null
+  }));
+  
+  // Have Zoho send the notification again rather than lose it. The jobs are queued
+  // all or nothing, so none of the records is processed twice when it does.
+  const jobs = enqueueJobs('zoho-notification', payloads);
+  if (!jobs) {
+    return res.status(503).json({ error: 'Unable to queue notification' });
   }
   
-  // Acknowledge receipt
+  // Acknowledge receipt right away - the work happens in the background
   res.status(200).json({ 
     status: 'success',
-    message: 'Notification received and processed' 
+    message: `Notification received, ${jobs.length} job(s) queued` 
   });
 }
 
+// Process a queued Zoho notification for a single record.
+// Jobs queued before modules were supported have no module and are Leads.
+async function processZohoNotification({ module = DEFAULT_MODULE, leadId, operation, affectedFields }) {
+  console.log(`\n=== Processing ${module} ID: ${leadId} ===`);
+  console.log('Operation:', operation);
+  
+  // Log affected fields for this specific lead
+  if (affectedFields) {
+    const leadAffectedFields = affectedFields.find(item => item[leadId]);
+    if (leadAffectedFields && leadAffectedFields[leadId]) {
+      console.log('Affected Fields:', leadAffectedFields[leadId]);
+    }
+  }
+  
+  if (operation === 'delete') {
+    // Converting a lead removes it from the Leads list - that's not a deletion
+    if (module === 'Leads' && await detectLeadConversion(leadId)) {
+      return;
+    }
+    
+    // The record is gone in Zoho - apply the deletion policy to its Airtable record
+    await handleZohoRecordDeletion(leadId, module);
+    return;
+  }
+  
+  // Records we created from Airtable records are already linked
+  if (operation === 'create' && consumeExpectedEcho('zoho', leadId, RECORD_CREATED, true)) {
+    return;
+  }
+  
+  const config = loadZohoConfig();
+  if (!config) {
+    throw new Error('Unable to load Zoho config');
+  }
+  
+  const leadDetails = await getRecordDetails(module, leadId, config);
+  if (!leadDetails) {
+    // Throw so the queue retries with backoff
+    throw new Error(`Could not fetch details for Zoho ${module} record ${leadId}`);
+  }
+  
+  console.log('Lead Details:', JSON.stringify(leadDetails, null, 2));
+  
+  // Extract specific fields for processing
+  const lead = leadDetails.data[0];
+  logLeadDetails(lead);
+  
+  // A converted lead no longer accepts updates - point its Airtable record at the
+  // Contact, Account and Deal it became instead of syncing fields
+  if (module === 'Leads' && getConversionFromLead(lead)) {
+    await handleZohoLeadConversion(leadId, lead);
+    return;
+  }
+  
+  // Handle different operations
+  if (operation === 'create') {
+    // New record created - create corresponding Airtable record
+    console.log(`🆕 New ${module} record created in Zoho: ${leadId}`);
+    await createAirtableRecordFromZohoRecord(leadId, lead, module);
+  } else if (operation === 'update') {
+    // Record updated - check for mapped field changes
+    const changedFieldsInfo = getChangedFields(leadId, lead, affectedFields);
+    await handleZohoRecordUpdate(leadId, lead, changedFieldsInfo, module);
+  }
+}
+
 // Airtable webhook handler
 async function handleAirtableWebhook(req, res) {
-  console.log('Received Airtable notification:', JSON.stringify(req.body, null, 2));
-  
   const config = loadAirtableConfig();
   if (!config) {
     return res.status(500).json({ error: 'Unable to load Airtable config' });
   }
   
-  // Process the webhook payload
+  // Pings from the webhook on the Zoho Fields table mean the field mapping changed
+  const mappingWebhook = config.mappingWebhook;
+  if (mappingWebhook && req.body.webhook && req.body.webhook.id === mappingWebhook.id) {
+    return handleMappingWebhook(req, res, mappingWebhook);
+  }
+  
+  if (!verifyAirtableWebhook(req, config)) {
+    return rejectUnauthenticated(req, res, 'Airtable');
+  }
+  
+  console.log('Received Airtable notification:', JSON.stringify(req.body, null, 2));
+  
+  // The ping only tells us something changed - read every payload since our stored cursor
   if (req.body.base && req.body.base.id && req.body.webhook && req.body.webhook.id) {
     console.log(`\n=== Airtable Webhook Details ===`);
     console.log('Base ID:', req.body.base.id);
     console.log('Webhook ID:', req.body.webhook.id);
     console.log('Timestamp:', req.body.timestamp);
     
-    // Check if we have change data in the webhook
-    if (!req.body.changedTablesById) {
-      console.log('\n⚠️  No changedTablesById in webhook payload - fetching payloads manually...');
-      
-      // Fetch the actual payloads from Airtable API
-      const payloads = await fetchWebhookPayloads(config, req.body.webhook.id);
-      
-      if (payloads.length > 0) {
-        console.log(`\n=== Found ${payloads.length} payload(s) ===`);
-        
-        // Process payloads with flexible timing approach
-        const webhookTime = new Date(req.body.timestamp);
-        console.log(`\n=== Webhook timestamp: ${req.body.timestamp} ===`);
-        
-        // First try: Look for payloads within 5 minutes (to handle Airtable delays)
-        let candidatePayloads = payloads.filter(payload => {
-          const payloadTime = new Date(payload.timestamp);
-          const timeDiff = Math.abs(webhookTime.getTime() - payloadTime.getTime());
-          return timeDiff <= 300000; // 5 minutes
-        });
-        
-        if (candidatePayloads.length === 0) {
-          // Second try: Use the most recent payload regardless of timing
-          console.log(`⚠️  No payloads within 5 minutes, using most recent payload`);
-          candidatePayloads = payloads.slice(0, 1); // Most recent (already sorted newest first)
-        }
-        
-        if (candidatePayloads.length > 0) {
-          console.log(`\n=== Processing ${candidatePayloads.length} candidate payload(s) ===`);
-          
-          // Use the most recent candidate payload
-          const targetPayload = candidatePayloads[0]; // Most recent due to sort
-          const payloadTime = new Date(targetPayload.timestamp);
-          const timeDiff = webhookTime.getTime() - payloadTime.getTime();
-          
-          console.log('Selected payload timestamp:', targetPayload.timestamp);
-          console.log('Webhook timestamp:', req.body.timestamp);
-          console.log(`Time difference: ${timeDiff}ms (${Math.abs(timeDiff/1000)}s ${timeDiff < 0 ? 'after' : 'before'} webhook)`);
-          
-          // Process the payload data
-          if (targetPayload.changedTablesById) {
-            const changeInfo = await processChangedTables(targetPayload.changedTablesById, config);
-            if (changeInfo) {
-              await handleAirtableRecordUpdate(changeInfo.recordId, changeInfo.changedFields);
-            }
-          } else {
-            console.log('⚠️  No changedTablesById in selected payload');
-          }
-        } else {
-          console.log(`\n❌ No payloads available to process`);
-        }
-      } else {
-        console.log('No payloads found');
-      }
+    if (config.webhookId && req.body.webhook.id !== config.webhookId) {
+      console.log(`⚠️  Ping is for webhook ${req.body.webhook.id}, but we are configured for ${config.webhookId}`);
     } else {
-      // We have direct change data in the webhook payload
-      console.log('\n✅ Found changedTablesById in webhook payload');
-      const changeInfo = await processChangedTables(req.body.changedTablesById, config);
-      if (changeInfo) {
-        await handleAirtableRecordUpdate(changeInfo.recordId, changeInfo.changedFields);
+      const job = enqueueJob('airtable-notification', {
+        webhookId: req.body.webhook.id,
+        timestamp: req.body.timestamp
+      });
+      
+      // Have Airtable ping again rather than lose the notification
+      if (!job) {
+        return res.status(503).json({ error: 'Unable to queue notification' });
       }
     }
   }
   
-  // Acknowledge receipt
+  // Acknowledge receipt right away - the work happens in the background
   res.status(200).json({ 
     status: 'success',
-    message: 'Airtable notification received and processed' 
+    message: 'Airtable notification received' 
   });
 }
 
+// Zoho Fields table webhook: drop the cached mappings so the next sync reads them again
+function handleMappingWebhook(req, res, mappingWebhook) {
+  if (!verifyAirtableWebhook(req, mappingWebhook)) {
+    return rejectUnauthenticated(req, res, 'Airtable');
+  }
+  
+  console.log(`\n📋 Zoho Fields table changed (${req.body.timestamp}) - reloading field mappings`);
+  clearFieldMetadata();
+  
+  res.status(200).json({ 
+    status: 'success',
+    message: 'Field mapping cache cleared' 
+  });
+}
+
+// Process a queued Airtable ping by reading every payload since the stored cursor
+async function processAirtableNotification() {
+  const processed = await syncAirtablePayloads();
+  if (processed === null) {
+    // Throw so the queue retries with backoff - the cursor makes this safe
+    throw new Error('Could not read Airtable webhook payloads');
+  }
+}
+
 // Health check handler
 function handleHealthCheck(req, res) {
-  res.json({ status: 'Server is running' });
+  res.json({ 
+    status: 'Server is running',
+    queue: getQueueStats(),
+    http: getHttpStats(),
+    zohoChannel: getWatchChannelState(),
+    airtableWebhooks: getAirtableWebhookState()
+  });
 }
 
 module.exports = {
   handleZohoWebhook,
   handleAirtableWebhook,
-  handleHealthCheck
+  handleHealthCheck,
+  processZohoNotification,
+  processAirtableNotification
 };
\ No newline at end of file
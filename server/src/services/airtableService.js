@@ -1,11 +1,121 @@
-const axios = require('axios');
-const { loadAirtableConfig, shouldIgnoreField, FIELD_MAPPING } = require('../config/config');
+const { airtableHttp, isTransientRequestError } = require('../utils/httpClient');
+const {
+  loadAirtableConfig,
+  shouldIgnoreField,
+  parseSyncDirection,
+  getMappingTableId,
+  FIELD_MAPPING,
+  FIELD_METADATA_TTL_MS
+} = require('../config/config');
+const { rememberLink } = require('../utils/recordLinks');
+
+// Table schemas per base: { tables, expiresAt }. The promise is cached too, so
+// lookups made while a fetch is running share it.
+const schemaCache = {};
+
+// Every table (id, name, fields) of the configured base from the meta API, cached for
+// FIELD_METADATA_TTL_MS. Returns null if the schema can't be read.
+function getBaseTables(config) {
+  const cached = schemaCache[config.baseId];
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.tables;
+  }
+  
+  const tables = airtableHttp.get(
+    `${config.apiUrl}/meta/bases/${config.baseId}/tables`,
+    {
+      headers: {
+        'Authorization': `Bearer ${config.apiToken}`,
+        'Content-Type': 'application/json'
+      }
+    }
+  ).then(response => response.data.tables).catch(error => {
+    console.error('Error getting base schema:', error.response?.data || error.message);
+    // Don't keep a failed lookup - the next call tries again
+    delete schemaCache[config.baseId];
+    return null;
+  });
+  
+  schemaCache[config.baseId] = { tables, expiresAt: Date.now() + FIELD_METADATA_TTL_MS };
+  return tables;
+}
+
+// Forget cached base schemas, so the next lookup reads them again
+function clearSchemaCache() {
+  for (const baseId of Object.keys(schemaCache)) {
+    delete schemaCache[baseId];
+  }
+}
+
+// The configured table in the base schema, or null
+async function getTableSchema(config) {
+  const tables = await getBaseTables(config);
+  if (!tables) {
+    return null;
+  }
+  
+  const table = tables.find(t => t.id === config.tableId || t.name === config.tableName);
+  if (!table) {
+    console.log('Table not found in metadata');
+    return null;
+  }
+  
+  return table;
+}
 
 // Get field names from field IDs using Airtable API
 async function getFieldNames(config, fieldIds) {
+  const table = await getTableSchema(config);
+  if (!table) {
+    return {};
+  }
+  
+  const fieldMapping = {};
+  table.fields.forEach(field => {
+    fieldMapping[field.id] = field.name;
+  });
+  
+  const result = {};
+  fieldIds.forEach(fieldId => {
+    result[fieldId] = fieldMapping[fieldId] || fieldId;
+  });
+  
+  return result;
+}
+
+// Get every field (id, name, type, options) of the configured table from the meta API
+async function getTableFields(config) {
+  const table = await getTableSchema(config);
+  return table ? table.fields : null;
+}
+
+// Get Airtable field ID from field name
+async function getAirtableFieldId(config, fieldName) {
+  const table = await getTableSchema(config);
+  if (!table) {
+    return null;
+  }
+  
+  const field = table.fields.find(f => f.name === fieldName);
+  return field ? field.id : null;
+}
+
+// Update Airtable record
+async function updateAirtableRecord(recordId, fieldUpdates, config = null) {
+  if (!config) {
+    config = loadAirtableConfig();
+    if (!config) {
+      console.error('Failed to load Airtable config');
+      return null;
+    }
+  }
+
   try {
-    const response = await axios.get(
-      `${config.apiUrl}/meta/bases/${config.baseId}/tables`,
+    const response = await airtableHttp.patch(
+      `${config.apiUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}/${recordId}`,
+      {
+        fields: fieldUpdates
+      },
       {
         headers: {
           'Authorization': `Bearer ${config.apiToken}`,
@@ -14,34 +124,45 @@ async function getFieldNames(config, fieldIds) {
       }
     );
     
-    const table = response.data.tables.find(t => t.id === config.tableId || t.name === config.tableName);
-    if (!table) {
-      console.log('Table not found in metadata');
-      return {};
-    }
-    
-    const fieldMapping = {};
-    table.fields.forEach(field => {
-      fieldMapping[field.id] = field.name;
-    });
-    
-    const result = {};
-    fieldIds.forEach(fieldId => {
-      result[fieldId] = fieldMapping[fieldId] || fieldId;
-    });
-    
-    return result;
+    console.log('✅ Airtable record updated successfully');
+    return response.data;
   } catch (error) {
-    console.error('Error getting field names:', error.response?.data || error.message);
-    return {};
+    console.error('❌ Error updating Airtable record:', error.response?.data || error.message);
+    return null;
   }
 }
 
-// Get Airtable field ID from field name
-async function getAirtableFieldId(config, fieldName) {
+// Result for a failed write: { success: false, status, type, message, transient }.
+// transient is set when trying again later may work (network, rate limit, 5xx).
+function getAirtableFailure(error) {
+  const airtableError = error.response?.data?.error;
+  return {
+    success: false,
+    status: error.response?.status || null,
+    type: airtableError?.type || airtableError || error.code || 'REQUEST_FAILED',
+    message: airtableError?.message || error.message,
+    transient: isTransientRequestError(error)
+  };
+}
+
+// Update up to 10 records of the configured table in one request. Each record is
+// { id, fields }. Resolves to { success: true, records } with the updated records, or
+// a failure (see getAirtableFailure).
+async function updateAirtableRecords(records, config = null) {
+  if (!config) {
+    config = loadAirtableConfig();
+    if (!config) {
+      console.error('Failed to load Airtable config');
+      return { success: false, status: null, type: 'NO_CONFIG', message: 'Failed to load Airtable config', transient: false };
+    }
+  }
+
   try {
-    const response = await axios.get(
-      `${config.apiUrl}/meta/bases/${config.baseId}/tables`,
+    const response = await airtableHttp.patch(
+      `${config.apiUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}`,
+      {
+        records
+      },
       {
         headers: {
           'Authorization': `Bearer ${config.apiToken}`,
@@ -50,22 +171,48 @@ async function getAirtableFieldId(config, fieldName) {
       }
     );
     
-    const table = response.data.tables.find(t => t.id === config.tableId || t.name === config.tableName);
-    if (!table) {
-      console.log('Table not found in metadata');
-      return null;
+    console.log(`✅ Updated ${response.data.records.length} Airtable record(s)`);
+    return { success: true, records: response.data.records };
+  } catch (error) {
+    console.error('❌ Error updating Airtable records:', error.response?.data || error.message);
+    return getAirtableFailure(error);
+  }
+}
+
+// Create Airtable record.
+// Resolves to { success: true, record } or a failure (see getAirtableFailure), so a
+// rejected value (e.g. an unknown select option) can be told apart from an outage.
+async function createAirtableRecord(recordData, config = null) {
+  if (!config) {
+    config = loadAirtableConfig();
+    if (!config) {
+      console.error('Failed to load Airtable config');
+      return { success: false, status: null, type: 'NO_CONFIG', message: 'Failed to load Airtable config', transient: false };
     }
+  }
+
+  try {
+    const response = await airtableHttp.post(
+      `${config.apiUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}`,
+      recordData,
+      {
+        headers: {
+          'Authorization': `Bearer ${config.apiToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
     
-    const field = table.fields.find(f => f.name === fieldName);
-    return field ? field.id : null;
+    console.log(`✅ Airtable record created successfully: ${response.data.id}`);
+    return { success: true, record: response.data };
   } catch (error) {
-    console.error('Error getting Airtable field ID:', error.response?.data || error.message);
-    return null;
+    console.error('❌ Error creating Airtable record:', error.response?.data || error.message);
+    return getAirtableFailure(error);
   }
 }
 
-// Update Airtable record
-async function updateAirtableRecord(recordId, fieldUpdates, config = null) {
+// Get a single Airtable record with its fields keyed by field ID
+async function getAirtableRecord(recordId, config = null) {
   if (!config) {
     config = loadAirtableConfig();
     if (!config) {
@@ -75,29 +222,28 @@ async function updateAirtableRecord(recordId, fieldUpdates, config = null) {
   }
 
   try {
-    const response = await axios.patch(
+    const response = await airtableHttp.get(
       `${config.apiUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}/${recordId}`,
-      {
-        fields: fieldUpdates
-      },
       {
         headers: {
           'Authorization': `Bearer ${config.apiToken}`,
           'Content-Type': 'application/json'
+        },
+        params: {
+          returnFieldsByFieldId: true
         }
       }
     );
     
-    console.log('✅ Airtable record updated successfully');
     return response.data;
   } catch (error) {
-    console.error('❌ Error updating Airtable record:', error.response?.data || error.message);
+    console.error('Error getting Airtable record:', error.response?.data || error.message);
     return null;
   }
 }
 
-// Create Airtable record
-async function createAirtableRecord(recordData, config = null) {
+// Fetch every record of the configured table, with fields keyed by field ID
+async function listAirtableRecords(config = null) {
   if (!config) {
     config = loadAirtableConfig();
     if (!config) {
@@ -106,10 +252,67 @@ async function createAirtableRecord(recordData, config = null) {
     }
   }
 
+  console.log('📡 Fetching all Airtable records...');
+  
   try {
-    const response = await axios.post(
-      `${config.apiUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}`,
-      recordData,
+    const records = [];
+    let offset = null;
+    
+    do {
+      const params = {
+        pageSize: 100, // Airtable's max per request
+        returnFieldsByFieldId: true
+      };
+      if (offset) {
+        params.offset = offset;
+      }
+      
+      const response = await airtableHttp.get(
+        `${config.apiUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${config.apiToken}`,
+            'Content-Type': 'application/json'
+          },
+          params: params
+        }
+      );
+      
+      records.push(...(response.data.records || []));
+      offset = response.data.offset;
+    } while (offset);
+    
+    console.log(`✅ Retrieved ${records.length} Airtable records`);
+    return records;
+  } catch (error) {
+    console.error('Error listing Airtable records:', error.response?.data || error.message);
+    return null;
+  }
+}
+
+// Index a record's values by field ID and by field name, since mappings may use either
+function indexFieldValues(fieldsById, fieldNames) {
+  const values = {};
+  for (const [fieldId, value] of Object.entries(fieldsById)) {
+    values[fieldId] = value;
+    values[fieldNames[fieldId] || fieldId] = value;
+  }
+  return values;
+}
+
+// Delete Airtable record
+async function deleteAirtableRecord(recordId, config = null) {
+  if (!config) {
+    config = loadAirtableConfig();
+    if (!config) {
+      console.error('Failed to load Airtable config');
+      return null;
+    }
+  }
+
+  try {
+    const response = await airtableHttp.delete(
+      `${config.apiUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}/${recordId}`,
       {
         headers: {
           'Authorization': `Bearer ${config.apiToken}`,
@@ -118,10 +321,10 @@ async function createAirtableRecord(recordData, config = null) {
       }
     );
     
-    console.log(`✅ Airtable record created successfully: ${response.data.id}`);
+    console.log(`✅ Airtable record deleted successfully: ${recordId}`);
     return response.data;
   } catch (error) {
-    console.error('❌ Error creating Airtable record:', error.response?.data || error.message);
+    console.error('❌ Error deleting Airtable record:', error.response?.data || error.message);
     return null;
   }
 }
@@ -140,7 +343,7 @@ async function findAirtableRecordByZohoId(zohoLeadId, config = null) {
   
   try {
     // Search for records where "Zoho CRM ID" field equals the Zoho lead ID
-    const response = await axios.get(
+    const response = await airtableHttp.get(
       `${config.apiUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}`,
       {
         headers: {
@@ -156,6 +359,7 @@ async function findAirtableRecordByZohoId(zohoLeadId, config = null) {
     if (response.data.records && response.data.records.length > 0) {
       const recordId = response.data.records[0].id;
       console.log(`✅ Found Airtable record: ${recordId}`);
+      rememberLink(zohoLeadId, recordId);
       return recordId;
     } else {
       console.log(`❌ No Airtable record found with Zoho CRM ID: ${zohoLeadId}`);
@@ -181,7 +385,7 @@ async function findZohoLeadByAirtableId(airtableRecordId, config = null) {
   
   try {
     // Get the specific Airtable record to read the "Zoho CRM ID" field
-    const response = await axios.get(
+    const response = await airtableHttp.get(
       `${config.apiUrl}/${config.baseId}/${encodeURIComponent(config.tableName)}/${airtableRecordId}`,
       {
         headers: {
@@ -194,6 +398,7 @@ async function findZohoLeadByAirtableId(airtableRecordId, config = null) {
     const zohoId = response.data.fields[FIELD_MAPPING.ZOHO_ID.airtable];
     if (zohoId) {
       console.log(`✅ Found Zoho lead ID: ${zohoId}`);
+      rememberLink(zohoId, airtableRecordId);
       return zohoId;
     } else {
       console.log(`❌ No Zoho CRM ID found in Airtable record: ${airtableRecordId}`);
@@ -205,64 +410,145 @@ async function findZohoLeadByAirtableId(airtableRecordId, config = null) {
   }
 }
 
-// Fetch webhook payloads from Airtable API with cursor-based pagination for latest payloads
-async function fetchWebhookPayloads(config, webhookId, maxPayloads = 200) {
+// Fetch one page of webhook payloads from Airtable API, starting at the given cursor.
+// Payloads come back oldest first; the returned cursor points at the next unread payload.
+async function fetchWebhookPayloads(config, webhookId, cursor = 1) {
   try {
-    let allPayloads = [];
-    let cursor = null;
-    let iterations = 0;
-    const maxIterations = Math.ceil(maxPayloads / 50); // Prevent infinite loops
+    const response = await airtableHttp.get(
+      `${config.apiUrl}/bases/${config.baseId}/webhooks/${webhookId}/payloads`,
+      {
+        headers: {
+          'Authorization': `Bearer ${config.apiToken}`,
+          'Content-Type': 'application/json'
+        },
+        params: {
+          cursor: cursor,
+          limit: 50 // Airtable's max per request
+        }
+      }
+    );
     
-    console.log(`📡 Fetching webhook payloads (max: ${maxPayloads})...`);
+    const payloads = response.data.payloads || [];
+    console.log(`📡 Fetched ${payloads.length} webhook payload(s) from cursor ${cursor} (next: ${response.data.cursor})`);
     
-    do {
-      const params = {};
-      if (cursor) {
-        params.cursor = cursor;
+    return {
+      payloads,
+      cursor: response.data.cursor,
+      mightHaveMore: Boolean(response.data.mightHaveMore)
+    };
+  } catch (error) {
+    console.error('Error fetching webhook payloads:', error.response?.data || error.message);
+    return null;
+  }
+}
+
+// List the webhooks of the base, with their expiration, cursor and last notification result
+async function listAirtableWebhooks(config) {
+  try {
+    const response = await airtableHttp.get(
+      `${config.apiUrl}/bases/${config.baseId}/webhooks`,
+      {
+        headers: {
+          'Authorization': `Bearer ${config.apiToken}`,
+          'Content-Type': 'application/json'
+        }
       }
-      // Limit to 50 per request (Airtable's max)
-      params.limit = Math.min(50, maxPayloads - allPayloads.length);
-      
-      const response = await axios.get(
-        `${config.apiUrl}/bases/${config.baseId}/webhooks/${webhookId}/payloads`,
-        {
-          headers: {
-            'Authorization': `Bearer ${config.apiToken}`,
-            'Content-Type': 'application/json'
-          },
-          params: params
+    );
+    return response.data.webhooks || [];
+  } catch (error) {
+    console.error('Error listing Airtable webhooks:', error.response?.data || error.message);
+    return null;
+  }
+}
+
+// Create a webhook that notifies notificationUrl. filters is the specification's filters
+// object. Resolves to { id, macSecretBase64, expirationTime } or null.
+async function createAirtableWebhook(config, notificationUrl, filters) {
+  try {
+    const response = await airtableHttp.post(
+      `${config.apiUrl}/bases/${config.baseId}/webhooks`,
+      {
+        notificationUrl,
+        specification: {
+          options: {
+            filters
+          }
+        }
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${config.apiToken}`,
+          'Content-Type': 'application/json'
         }
-      );
-      
-      const payloads = response.data.payloads || [];
-      allPayloads.push(...payloads);
-      
-      // Update cursor for next iteration
-      cursor = response.data.cursor;
-      iterations++;
-      
-      console.log(`   Batch ${iterations}: ${payloads.length} payloads (total: ${allPayloads.length})`);
-      
-      // Stop if we have enough payloads or no more cursor
-      if (allPayloads.length >= maxPayloads || !cursor || payloads.length === 0) {
-        break;
       }
-      
-    } while (cursor && iterations < maxIterations);
-    
-    // Sort by timestamp descending to get newest payloads first
-    allPayloads.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    
-    console.log(`✅ Retrieved ${allPayloads.length} total payloads`);
-    if (allPayloads.length > 0) {
-      console.log(`   Newest: ${allPayloads[0].timestamp}`);
-      console.log(`   Oldest: ${allPayloads[allPayloads.length - 1].timestamp}`);
-    }
+    );
     
-    return allPayloads;
+    console.log(`✅ Airtable webhook ${response.data.id} created (expires ${response.data.expirationTime})`);
+    return response.data;
   } catch (error) {
-    console.error('Error fetching webhook payloads:', error.response?.data || error.message);
-    return [];
+    console.error('❌ Error creating Airtable webhook:', error.response?.data || error.message);
+    return null;
+  }
+}
+
+// Extend a webhook's life by another 7 days. Resolves to the new expiration time or null.
+async function refreshAirtableWebhook(config, webhookId) {
+  try {
+    const response = await airtableHttp.post(
+      `${config.apiUrl}/bases/${config.baseId}/webhooks/${webhookId}/refresh`,
+      null,
+      {
+        headers: {
+          'Authorization': `Bearer ${config.apiToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data.expirationTime;
+  } catch (error) {
+    console.error(`❌ Error refreshing Airtable webhook ${webhookId}:`, error.response?.data || error.message);
+    return null;
+  }
+}
+
+// Turn notifications back on for a webhook Airtable disabled after failed pings
+async function enableAirtableWebhookNotifications(config, webhookId) {
+  try {
+    await airtableHttp.post(
+      `${config.apiUrl}/bases/${config.baseId}/webhooks/${webhookId}/enableNotifications`,
+      {
+        enable: true
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${config.apiToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return true;
+  } catch (error) {
+    console.error(`❌ Error enabling notifications for Airtable webhook ${webhookId}:`, error.response?.data || error.message);
+    return false;
+  }
+}
+
+// Delete a webhook (its unread payloads are lost)
+async function deleteAirtableWebhook(config, webhookId) {
+  try {
+    await airtableHttp.delete(
+      `${config.apiUrl}/bases/${config.baseId}/webhooks/${webhookId}`,
+      {
+        headers: {
+          'Authorization': `Bearer ${config.apiToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return true;
+  } catch (error) {
+    console.error(`❌ Error deleting Airtable webhook ${webhookId}:`, error.response?.data || error.message);
+    return false;
   }
 }
 
@@ -297,10 +583,13 @@ function getChangedFieldsFromRecord(current, previous) {
   return changedFields;
 }
 
-// Process changed tables data
+// Process changed tables data.
+// Returns one change set per changed record, across every table in the payload.
 async function processChangedTables(changedTablesById, config) {
   console.log('\n=== Changed Tables ===');
   
+  const changeSets = [];
+  
   for (const tableId of Object.keys(changedTablesById)) {
     const table = changedTablesById[tableId];
     console.log(`Table ID: ${tableId}`);
@@ -310,59 +599,68 @@ async function processChangedTables(changedTablesById, config) {
     if (table.changedRecordsById) {
       console.log('\n=== Changed Records ===');
       
-      for (const recordId of Object.keys(table.changedRecordsById)) {
+      // Identify which fields actually changed in each record
+      const changedRecords = Object.keys(table.changedRecordsById).map(recordId => {
         const record = table.changedRecordsById[recordId];
+        return {
+          recordId,
+          record,
+          changedFieldIds: getChangedFieldsFromRecord(record.current, record.previous)
+        };
+      });
+      
+      // Look up names for every changed field in this table with a single request
+      const allChangedFieldIds = [...new Set(changedRecords.flatMap(r => r.changedFieldIds))];
+      const tableConfig = { ...config, tableId, tableName: null };
+      const fieldNames = allChangedFieldIds.length > 0 ? await getFieldNames(tableConfig, allChangedFieldIds) : {};
+      
+      for (const { recordId, record, changedFieldIds } of changedRecords) {
         console.log(`Record ID: ${recordId}`);
+        console.log('Changed Field IDs:', changedFieldIds);
         
         // Extract field data from the record structure
         const currentFields = extractFieldData(record.current);
         const previousFields = record.previous ? extractFieldData(record.previous) : {};
         
-        // Identify which fields actually changed
-        const changedFieldIds = getChangedFieldsFromRecord(record.current, record.previous);
-        console.log('Changed Field IDs:', changedFieldIds);
+        if (changedFieldIds.length === 0) {
+          console.log('---');
+          continue;
+        }
+        
+        console.log('Changed Field Names:');
+        
+        const changedFieldsInfo = [];
         
-        if (changedFieldIds.length > 0) {
-          // Get field names for the changed fields
-          const fieldNames = await getFieldNames(config, changedFieldIds);
-          console.log('Changed Field Names:');
+        for (const fieldId of changedFieldIds) {
+          const fieldName = fieldNames[fieldId] || fieldId;
+          const currentValue = currentFields[fieldId];
+          const previousValue = previousFields[fieldId];
           
-          const changedFieldsInfo = [];
+          console.log(`  ${fieldName} (${fieldId}):`);
+          console.log(`    From: ${JSON.stringify(previousValue)}`);
+          console.log(`    To: ${JSON.stringify(currentValue)}`);
           
-          for (const fieldId of changedFieldIds) {
-            const fieldName = fieldNames[fieldId] || fieldId;
-            const currentValue = currentFields[fieldId];
-            const previousValue = previousFields[fieldId];
-            
-            console.log(`  ${fieldName} (${fieldId}):`);
-            console.log(`    From: ${JSON.stringify(previousValue)}`);
-            console.log(`    To: ${JSON.stringify(currentValue)}`);
-            
-            // Check if this field should be ignored
-            if (shouldIgnoreField(fieldName, 'airtable')) {
-              console.log(`⏭️  Skipping ignored field: ${fieldName}`);
-              continue;
-            }
-            
-            changedFieldsInfo.push({
-              fieldId,
-              fieldName,
-              currentValue,
-              previousValue
-            });
+          // Check if this field should be ignored
+          if (shouldIgnoreField(fieldName, 'airtable')) {
+            console.log(`⏭️  Skipping ignored field: ${fieldName}`);
+            continue;
           }
           
-          // Return processed change information for sync handling
-          return {
+          changedFieldsInfo.push({
+            fieldId,
+            fieldName,
+            currentValue,
+            previousValue
+          });
+        }
+        
+        if (changedFieldsInfo.length > 0) {
+          changeSets.push({
+            tableId,
             recordId,
             changedFields: changedFieldsInfo,
             allCurrentFields: currentFields
-          };
-        }
-        
-        console.log('All Current Fields:', currentFields);
-        if (record.previous) {
-          console.log('All Previous Values:', record.previous);
+          });
         }
         console.log('---');
       }
@@ -376,10 +674,11 @@ async function processChangedTables(changedTablesById, config) {
         const record = table.createdRecordsById[recordId];
         console.log(`Record ID: ${recordId}`);
         
-        const currentFields = extractFieldData(record.current);
+        // Created records carry their values directly ({ createdTime, cellValuesByFieldId })
+        const currentFields = extractFieldData(record);
         const allFieldIds = Object.keys(currentFields);
         if (allFieldIds.length > 0) {
-          const fieldNames = await getFieldNames(config, allFieldIds);
+          const fieldNames = await getFieldNames({ ...config, tableId, tableName: null }, allFieldIds);
           console.log('Field Values:');
           for (const fieldId of allFieldIds) {
             const fieldName = fieldNames[fieldId] || fieldId;
@@ -402,11 +701,39 @@ async function processChangedTables(changedTablesById, config) {
     }
   }
   
-  return null;
+  console.log(`📋 Found ${changeSets.length} changed record(s) to sync`);
+  return changeSets;
+}
+
+// Collect records created in Airtable across all tables of a payload, as { tableId, recordId }
+function getCreatedRecordIds(changedTablesById) {
+  const createdRecords = [];
+  for (const [tableId, table] of Object.entries(changedTablesById || {})) {
+    if (table.createdRecordsById) {
+      for (const recordId of Object.keys(table.createdRecordsById)) {
+        createdRecords.push({ tableId, recordId });
+      }
+    }
+  }
+  return createdRecords;
 }
 
-// Fetch dynamic field mapping from Zoho Fields table
-async function fetchDynamicFieldMapping(config = null) {
+// Collect records deleted in Airtable across all tables of a payload, as { tableId, recordId }
+function getDestroyedRecordIds(changedTablesById) {
+  const destroyedRecords = [];
+  for (const [tableId, table] of Object.entries(changedTablesById || {})) {
+    if (table.destroyedRecordIds) {
+      for (const recordId of table.destroyedRecordIds) {
+        destroyedRecords.push({ tableId, recordId });
+      }
+    }
+  }
+  return destroyedRecords;
+}
+
+// Fetch dynamic field mapping for a Zoho module from Zoho Fields table.
+// Rows without a "Module" value belong to Leads.
+async function fetchDynamicFieldMapping(config = null, module = 'Leads') {
   if (!config) {
     config = loadAirtableConfig();
     if (!config) {
@@ -418,18 +745,34 @@ async function fetchDynamicFieldMapping(config = null) {
   console.log('📋 Fetching dynamic field mapping from Zoho Fields table...');
   
   try {
-    const response = await axios.get(
-      `${config.apiUrl}/${config.baseId}/tbl0JfUjWhV4TvLz2`, // Zoho Fields table ID
-      {
-        headers: {
-          'Authorization': `Bearer ${config.apiToken}`,
-          'Content-Type': 'application/json'
-        },
+    // Every module's rows share the table - read all pages
+    const records = [];
+    let offset = null;
+    
+    do {
+      const params = {
+        pageSize: 100 // Airtable's max per request
+      };
+      if (offset) {
+        params.offset = offset;
       }
-    );
+      
+      const response = await airtableHttp.get(
+        `${config.apiUrl}/${config.baseId}/${getMappingTableId(config)}`, // Zoho Fields table
+        {
+          headers: {
+            'Authorization': `Bearer ${config.apiToken}`,
+            'Content-Type': 'application/json'
+          },
+          params: params
+        }
+      );
+      
+      records.push(...(response.data.records || []));
+      offset = response.data.offset;
+    } while (offset);
     
     const fieldMapping = {};
-    const records = response.data.records || [];
     
     console.log(`✅ Found ${records.length} active field mappings`);
     
@@ -439,11 +782,18 @@ async function fetchDynamicFieldMapping(config = null) {
       // Use correct field names from your Zoho Fields table
       const zohoFieldName = fields['Field Name']; // Zoho field name
       const airtableFieldId = fields['Airtable Field ID']; // Airtable field ID
+      const rowModule = fields['Module'] || 'Leads'; // Zoho module the row belongs to
+      const direction = parseSyncDirection(fields['Sync Direction']); // Which way the field syncs
+      
+      if (rowModule !== module) {
+        continue;
+      }
       
       console.log(`   Record ${record.id}:`);
       console.log(`     - All fields: ${JSON.stringify(Object.keys(fields))}`);
       console.log(`     - Zoho field: ${zohoFieldName}`);
       console.log(`     - Airtable field ID: ${airtableFieldId}`);
+      console.log(`     - Sync direction: ${direction}`);
       
       if (zohoFieldName && airtableFieldId) {
         // Handle both string and array values for airtableFieldId
@@ -454,6 +804,7 @@ async function fetchDynamicFieldMapping(config = null) {
         fieldMapping[zohoFieldName] = {
           zoho: zohoFieldName,
           airtable: finalAirtableFieldId, // Use field ID directly
+          direction,
           recordId: record.id
         };
       } else {
@@ -469,15 +820,29 @@ async function fetchDynamicFieldMapping(config = null) {
 }
 
 module.exports = {
+  clearSchemaCache,
   getFieldNames,
+  getTableFields,
   getAirtableFieldId,
   updateAirtableRecord,
+  updateAirtableRecords,
   createAirtableRecord,
+  getAirtableRecord,
+  listAirtableRecords,
+  indexFieldValues,
+  deleteAirtableRecord,
   findAirtableRecordByZohoId,
   findZohoLeadByAirtableId,
   fetchWebhookPayloads,
+  listAirtableWebhooks,
+  createAirtableWebhook,
+  refreshAirtableWebhook,
+  enableAirtableWebhookNotifications,
+  deleteAirtableWebhook,
   extractFieldData,
   getChangedFieldsFromRecord,
   processChangedTables,
+  getCreatedRecordIds,
+  getDestroyedRecordIds,
   fetchDynamicFieldMapping
 };
\ No newline at end of file
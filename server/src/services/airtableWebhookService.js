@@ -0,0 +1,250 @@
+const {
+  AIRTABLE_WEBHOOKS,
+  loadAirtableConfig,
+  saveAirtableConfig,
+  getSyncPairs,
+  getMappingTableId
+} = require('../config/config');
+const {
+  listAirtableWebhooks,
+  createAirtableWebhook,
+  refreshAirtableWebhook,
+  enableAirtableWebhookNotifications,
+  deleteAirtableWebhook
+} = require('./airtableService');
+const { syncAirtablePayloads, runBetweenPayloadRuns } = require('./syncService');
+const { clearFieldMetadata } = require('./fieldTypeService');
+const { enqueueJob } = require('../utils/jobQueue');
+
+// Keeps our Airtable webhooks alive: the one on the synced tables ("records") and the
+// optional one on the Zoho Fields table ("mapping"). Each check refreshes them (they
+// expire after 7 days), turns notifications back on when Airtable disabled them after
+// failed pings, and re-creates a webhook that is gone or points at an old webhookUrl.
+
+// Last known state of the webhooks, reported on /health
+let webhookState = {
+  status: 'unknown', // active, expired, unconfigured or error (unknown until checked)
+  webhooks: {},
+  lastCheckedAt: null,
+  lastError: null
+};
+
+let checkInFlight = null;
+let checkTimer = null;
+
+// Webhook details worth monitoring
+function describeWebhook(hook) {
+  const result = hook.lastNotificationResult;
+  return {
+    id: hook.id,
+    notificationUrl: hook.notificationUrl,
+    expiresAt: hook.expirationTime || null,
+    notificationsEnabled: hook.areNotificationsEnabled !== false,
+    cursorForNextPayload: hook.cursorForNextPayload || null,
+    lastSuccessfulNotificationAt: hook.lastSuccessfulNotificationTime || null,
+    lastNotification: result ? {
+      success: result.success,
+      error: result.error ? result.error.message : null,
+      at: result.completionTimestamp || null
+    } : null
+  };
+}
+
+// Filters of the records webhook. A webhook can only be scoped to one table - with
+// several synced tables it watches the whole base (see airtable-setup.js).
+function getRecordsWebhookFilters(config) {
+  const filters = { dataTypes: ['tableData'] };
+  const pairs = getSyncPairs(config);
+  if (pairs.length === 1 && pairs[0].tableId) {
+    filters.recordChangeScope = pairs[0].tableId;
+  }
+  return filters;
+}
+
+// Save changes to airtable-config.json. Payload runs save the config they loaded, so
+// this waits for them and merges into the latest file.
+function updateConfig(changes) {
+  return runBetweenPayloadRuns(() => {
+    const latest = loadAirtableConfig();
+    if (!latest || !saveAirtableConfig({ ...latest, ...changes })) {
+      throw new Error('Could not save the Airtable config');
+    }
+  });
+}
+
+// Why a webhook has to be re-created, or null if it can be kept. Airtable can't change
+// the URL of an existing webhook.
+function getReplaceReason(hook, config) {
+  if (!hook) {
+    return 'it no longer exists';
+  }
+  if (hook.notificationUrl !== config.webhookUrl) {
+    return `it notifies ${hook.notificationUrl} instead of ${config.webhookUrl}`;
+  }
+  if (hook.isHookEnabled === false) {
+    return 'Airtable disabled it';
+  }
+  return null;
+}
+
+// Replace the records webhook. The new webhook records changes from the moment it's
+// created; changes before that are read from the old one before it's deleted. If they
+// can't all be read, the old webhook is kept and the next check tries again.
+async function replaceRecordsWebhook(config, oldHook) {
+  const created = await createAirtableWebhook(config, config.webhookUrl, getRecordsWebhookFilters(config));
+  if (!created) {
+    throw new Error('Could not create a new Airtable webhook');
+  }
+  
+  if (oldHook && await syncAirtablePayloads() === null) {
+    await deleteAirtableWebhook(config, created.id);
+    throw new Error(`Could not read the remaining payloads of Airtable webhook ${oldHook.id} - keeping it`);
+  }
+  
+  // Pings from the new webhook are rejected until its secret is saved - the payloads
+  // stay on Airtable and are read right after the switch
+  await updateConfig({ webhookId: created.id, macSecretBase64: created.macSecretBase64, webhookCursor: 1 });
+  config.webhookId = created.id;
+  
+  if (oldHook) {
+    await deleteAirtableWebhook(config, oldHook.id);
+  }
+  enqueueJob('airtable-notification', { webhookId: created.id });
+  
+  return created;
+}
+
+// Replace the Zoho Fields table webhook
+async function replaceMappingWebhook(config, oldHook) {
+  const filters = { dataTypes: ['tableData'], recordChangeScope: getMappingTableId(config) };
+  const created = await createAirtableWebhook(config, config.webhookUrl, filters);
+  if (!created) {
+    throw new Error('Could not create a new Airtable mapping webhook');
+  }
+  
+  await updateConfig({ mappingWebhook: { id: created.id, macSecretBase64: created.macSecretBase64 } });
+  if (oldHook) {
+    await deleteAirtableWebhook(config, oldHook.id);
+  }
+  
+  // Edits to the table may have been missed
+  clearFieldMetadata();
+  return created;
+}
+
+// Refresh one webhook, or re-create it, and return its details
+async function maintainWebhook(config, hooks, role) {
+  const webhookId = role === 'records' ? config.webhookId : config.mappingWebhook.id;
+  const hook = hooks.find(h => h.id === webhookId);
+  
+  const reason = getReplaceReason(hook, config);
+  if (reason) {
+    console.log(`🔁 Re-creating Airtable ${role} webhook${webhookId ? ` ${webhookId}` : ''} - ${reason}`);
+    const created = role === 'records'
+      ? await replaceRecordsWebhook(config, hook)
+      : await replaceMappingWebhook(config, hook);
+    return {
+      ...describeWebhook({ ...created, notificationUrl: config.webhookUrl }),
+      recreatedAt: new Date().toISOString()
+    };
+  }
+  
+  // Airtable stops pinging after repeated failed notifications, but keeps recording payloads
+  if (hook.areNotificationsEnabled === false) {
+    console.log(`🔔 Notifications of Airtable ${role} webhook ${hook.id} were disabled - turning them back on`);
+    if (await enableAirtableWebhookNotifications(config, hook.id)) {
+      hook.areNotificationsEnabled = true;
+      if (role === 'records') {
+        enqueueJob('airtable-notification', { webhookId: hook.id });
+      } else {
+        clearFieldMetadata();
+      }
+    }
+  }
+  
+  const lastResult = hook.lastNotificationResult;
+  if (lastResult && !lastResult.success) {
+    const error = lastResult.error ? lastResult.error.message : 'unknown error';
+    console.log(`⚠️  Last notification of Airtable ${role} webhook ${hook.id} failed: ${error}`);
+  }
+  
+  const expirationTime = await refreshAirtableWebhook(config, hook.id);
+  if (!expirationTime) {
+    throw new Error(`Could not refresh Airtable ${role} webhook ${hook.id}`);
+  }
+  hook.expirationTime = expirationTime;
+  console.log(`✅ Airtable ${role} webhook ${hook.id} refreshed - expires ${expirationTime}`);
+  
+  return describeWebhook(hook);
+}
+
+async function checkWebhooks() {
+  const config = loadAirtableConfig();
+  if (!config) {
+    throw new Error('Failed to load Airtable config');
+  }
+  
+  if (!config.webhookUrl) {
+    webhookState = { ...webhookState, status: 'unconfigured', lastCheckedAt: new Date().toISOString(), lastError: null };
+    console.log('⚠️  No Airtable webhook URL configured - run "node airtable-setup.js webhook" to receive Airtable changes');
+    return;
+  }
+  
+  const hooks = await listAirtableWebhooks(config);
+  if (!hooks) {
+    throw new Error('Could not list Airtable webhooks');
+  }
+  
+  const webhooks = {
+    records: await maintainWebhook(config, hooks, 'records')
+  };
+  if (config.mappingWebhook && config.mappingWebhook.id) {
+    webhooks.mapping = await maintainWebhook(config, hooks, 'mapping');
+  }
+  
+  webhookState = {
+    status: 'active',
+    webhooks,
+    lastCheckedAt: new Date().toISOString(),
+    lastError: null
+  };
+}
+
+// Check the webhooks and refresh, re-enable or re-create them as needed. Runs one check
+// at a time; resolves to the webhook state.
+function ensureAirtableWebhooks() {
+  if (!checkInFlight) {
+    checkInFlight = checkWebhooks()
+      .catch(error => {
+        console.error('❌ Error checking Airtable webhooks:', error.message);
+        webhookState = { ...webhookState, status: 'error', lastCheckedAt: new Date().toISOString(), lastError: error.message };
+      })
+      .finally(() => {
+        checkInFlight = null;
+      });
+  }
+  return checkInFlight.then(() => getAirtableWebhookState());
+}
+
+// Check the webhooks now and then every AIRTABLE_WEBHOOKS.checkIntervalMs
+function startAirtableWebhookUpkeep() {
+  if (checkTimer) {
+    return;
+  }
+  
+  ensureAirtableWebhooks();
+  checkTimer = setInterval(ensureAirtableWebhooks, AIRTABLE_WEBHOOKS.checkIntervalMs);
+}
+
+// State of the webhooks for monitoring; a webhook past "expiresAt" no longer records changes
+function getAirtableWebhookState() {
+  const expired = Object.values(webhookState.webhooks)
+    .some(hook => hook.expiresAt && Date.parse(hook.expiresAt) <= Date.now());
+  return { ...webhookState, status: expired ? 'expired' : webhookState.status };
+}
+
+module.exports = {
+  ensureAirtableWebhooks,
+  startAirtableWebhookUpkeep,
+  getAirtableWebhookState
+};
\ No newline at end of file
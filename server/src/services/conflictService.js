@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, CONFLICT_POLICY } = require('../config/config');
+const { getSyncedValue } = require('../utils/syncState');
+
+// Fields changed on both sides since their last sync. Open conflicts wait for an
+// admin; conflicts settled by the policy are kept for reference.
+const CONFLICTS_PATH = path.join(DATA_DIR, 'conflicts.json');
+const MAX_RESOLVED_CONFLICTS = 500;
+
+let conflicts = null;
+
+function loadConflicts() {
+  if (conflicts) {
+    return conflicts;
+  }
+  
+  conflicts = [];
+  try {
+    if (fs.existsSync(CONFLICTS_PATH)) {
+      conflicts = JSON.parse(fs.readFileSync(CONFLICTS_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error loading conflicts:', error.message);
+  }
+  return conflicts;
+}
+
+function saveConflicts() {
+  // Drop the oldest resolved conflicts beyond the limit; open ones are always kept
+  const resolved = conflicts.filter(conflict => conflict.status === 'resolved');
+  if (resolved.length > MAX_RESOLVED_CONFLICTS) {
+    const dropped = new Set(resolved.slice(0, resolved.length - MAX_RESOLVED_CONFLICTS));
+    conflicts = conflicts.filter(conflict => !dropped.has(conflict));
+  }
+  
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpPath = `${CONFLICTS_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(conflicts, null, 2));
+    fs.renameSync(tmpPath, CONFLICTS_PATH);
+  } catch (error) {
+    console.error('Error saving conflicts:', error.message);
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+function toTime(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+// Side whose value is kept under a policy: 'zoho', 'airtable', or null to leave it to an admin
+function pickWinner(change, policy) {
+  switch (policy) {
+    case 'zoho-wins':
+      return 'zoho';
+    case 'airtable-wins':
+      return 'airtable';
+    case 'last-writer-wins': {
+      const zohoTime = toTime(change.zoho.modifiedTime);
+      const airtableTime = toTime(change.airtable.modifiedTime);
+      // Without both times, the change in hand is the latest one we know of
+      if (zohoTime === null || airtableTime === null) {
+        return change.source;
+      }
+      return airtableTime > zohoTime ? 'airtable' : 'zoho';
+    }
+    default:
+      if (policy !== 'manual') {
+        console.warn(`⚠️  Unknown conflict policy "${policy}" - leaving the conflict to an admin`);
+      }
+      return null;
+  }
+}
+
+// Add a conflict to the list. A field has at most one open conflict - a newer
+// conflict on the same field replaces its values.
+function recordConflict(change, policy, winner) {
+  const current = loadConflicts();
+  const now = new Date().toISOString();
+  const sides = {
+    zoho: { ...change.zoho },
+    airtable: { ...change.airtable }
+  };
+  
+  let conflict = winner ? null : current.find(c => c.status === 'open'
+    && c.module === change.module
+    && c.zohoId === change.zohoId
+    && c.zohoField === change.zohoField);
+  
+  if (conflict) {
+    Object.assign(conflict, sides, { source: change.source, updatedAt: now });
+  } else {
+    conflict = {
+      id: crypto.randomUUID(),
+      module: change.module,
+      zohoId: change.zohoId,
+      airtableRecordId: change.airtableRecordId,
+      zohoField: change.zohoField,
+      airtableField: change.airtableField,
+      source: change.source,
+      ...sides,
+      policy,
+      status: winner ? 'resolved' : 'open',
+      winner,
+      resolvedBy: winner ? 'policy' : null,
+      detectedAt: now,
+      resolvedAt: winner ? now : null
+    };
+    current.push(conflict);
+  }
+  
+  saveConflicts();
+  return conflict;
+}
+
+// Mark open conflicts on a field as resolved once both sides hold the same value again
+function closeSettledConflicts(change) {
+  let closed = 0;
+  for (const conflict of loadConflicts()) {
+    if (conflict.status === 'open'
+      && conflict.module === change.module
+      && conflict.zohoId === change.zohoId
+      && conflict.zohoField === change.zohoField) {
+      Object.assign(conflict, { status: 'resolved', resolvedBy: 'sync', resolvedAt: new Date().toISOString() });
+      closed++;
+    }
+  }
+  
+  if (closed > 0) {
+    console.log(`✅ ${change.zohoField} of Zoho ${change.module} record ${change.zohoId} matches again - closed ${closed} conflict(s)`);
+    saveConflicts();
+  }
+}
+
+// Check a change from one side against the other side's current value and the value we
+// last synced. A change is { module, zohoId, airtableRecordId, zohoField, airtableField,
+// source: 'zoho' | 'airtable', zoho: side, airtable: side }, where each side is
+// { value, comparable, modifiedTime } (null if it couldn't be read). Returns { status }:
+//   'in-sync'     - the other side already holds the value
+//   'discarded'   - the change lost an earlier conflict and arrived late
+//   'no-conflict' - only this side changed (or we can't tell), so sync it
+//   'conflict'    - both sides changed; also returns the conflict, the winner (null for
+//                   manual) and the losing value, which should be ignored if it arrives late
+function checkForConflict(change, policy = CONFLICT_POLICY) {
+  const otherSide = change.source === 'zoho' ? 'airtable' : 'zoho';
+  const incoming = change[change.source];
+  const other = change[otherSide];
+  
+  if (!other) {
+    return { status: 'no-conflict' };
+  }
+  
+  if (sameValue(incoming.comparable, other.comparable)) {
+    closeSettledConflicts(change);
+    return { status: 'in-sync' };
+  }
+  
+  const synced = getSyncedValue(change.module, change.zohoId, change.zohoField);
+  if (synced && synced.discarded && synced.discarded.source === change.source && sameValue(synced.discarded.value, incoming.comparable)) {
+    return { status: 'discarded' };
+  }
+  
+  // Never synced, or the other side still holds what we synced last
+  if (!synced || sameValue(other.comparable, synced.value)) {
+    return { status: 'no-conflict' };
+  }
+  
+  const winner = pickWinner(change, policy);
+  const conflict = recordConflict(change, policy, winner);
+  const loser = winner === 'zoho' ? 'airtable' : 'zoho';
+  
+  console.log(`⚠️  Conflict on ${change.zohoField} of Zoho ${change.module} record ${change.zohoId}: Zoho has ${JSON.stringify(change.zoho.comparable)}, Airtable has ${JSON.stringify(change.airtable.comparable)}`);
+  console.log(winner
+    ? `⚖️  ${policy}: keeping the ${winner === 'zoho' ? 'Zoho' : 'Airtable'} value`
+    : `📋 Conflict ${conflict.id} is waiting for an admin to resolve it`);
+  
+  return {
+    status: 'conflict',
+    conflict,
+    winner,
+    discarded: winner ? { source: loser, value: change[loser].comparable } : null
+  };
+}
+
+// List conflicts, newest first, optionally only those with a status ('open' or 'resolved')
+function listConflicts(status = null) {
+  return loadConflicts()
+    .filter(conflict => !status || conflict.status === status)
+    .reverse();
+}
+
+function getConflict(conflictId) {
+  return loadConflicts().find(conflict => conflict.id === conflictId) || null;
+}
+
+// Mark a conflict as resolved by an admin in favour of one side
+function markConflictResolved(conflictId, winner) {
+  const conflict = getConflict(conflictId);
+  if (!conflict) {
+    return null;
+  }
+  
+  Object.assign(conflict, { status: 'resolved', winner, resolvedBy: 'admin', resolvedAt: new Date().toISOString() });
+  saveConflicts();
+  return conflict;
+}
+
+module.exports = {
+  checkForConflict,
+  listConflicts,
+  getConflict,
+  markConflictResolved
+};
\ No newline at end of file
@@ -0,0 +1,89 @@
+const { CONVERSION_FIELDS, getAirtableConfigForModule } = require('../config/config');
+const { getLinkedAirtableRecordId, rememberConversion, getLeadConversion } = require('../utils/recordLinks');
+const { getRecordDetails } = require('./zohoService');
+const { updateAirtableRecord, findAirtableRecordByZohoId } = require('./airtableService');
+
+// Zoho gives converted IDs either as plain strings or as { id, name } lookups
+function getConvertedId(convertedDetail, key) {
+  const value = convertedDetail && convertedDetail[key];
+  if (!value) {
+    return null;
+  }
+  
+  return String(typeof value === 'object' ? value.id : value);
+}
+
+// What a Zoho lead was converted into, or null if it hasn't been converted
+function getConversionFromLead(lead) {
+  if (!lead || !lead.$converted) {
+    return null;
+  }
+  
+  const detail = lead.$converted_detail || {};
+  return {
+    contactId: getConvertedId(detail, 'contact'),
+    accountId: getConvertedId(detail, 'account'),
+    dealId: getConvertedId(detail, 'deal'),
+    convertedAt: detail.convert_date || lead.Lead_Conversion_Time || null
+  };
+}
+
+// Record a lead conversion: remember where the lead went and write the Contact,
+// Account and Deal IDs onto the lead's Airtable record. Returns the conversion.
+async function handleZohoLeadConversion(leadId, lead) {
+  const conversion = getConversionFromLead(lead);
+  if (!conversion) {
+    return null;
+  }
+  
+  console.log(`\n🔀 Zoho lead ${leadId} was converted (contact ${conversion.contactId || '-'}, account ${conversion.accountId || '-'}, deal ${conversion.dealId || '-'})`);
+  
+  // Conversion notifications can repeat - only write the IDs once
+  const known = getLeadConversion(leadId);
+  if (known && known.contactId === conversion.contactId && known.dealId === conversion.dealId) {
+    console.log(`⏭️  Conversion of lead ${leadId} is already recorded`);
+    return conversion;
+  }
+  
+  const airtableConfig = getAirtableConfigForModule('Leads');
+  const airtableRecordId = getLinkedAirtableRecordId(leadId) || await findAirtableRecordByZohoId(leadId, airtableConfig);
+  if (!airtableRecordId) {
+    console.log(`⚠️  No Airtable record linked to converted lead ${leadId}`);
+    rememberConversion(leadId, conversion);
+    return conversion;
+  }
+  
+  const fieldUpdates = {
+    [CONVERSION_FIELDS.contact]: conversion.contactId,
+    [CONVERSION_FIELDS.account]: conversion.accountId,
+    [CONVERSION_FIELDS.deal]: conversion.dealId
+  };
+  
+  const result = await updateAirtableRecord(airtableRecordId, fieldUpdates, airtableConfig);
+  if (!result) {
+    // Throw so the queue retries
+    throw new Error(`Could not record conversion of lead ${leadId} on Airtable record ${airtableRecordId}`);
+  }
+  
+  rememberConversion(leadId, conversion);
+  console.log(`✅ Recorded conversion of lead ${leadId} on Airtable record ${airtableRecordId}`);
+  return conversion;
+}
+
+// Check Zoho for a conversion we haven't heard about yet (e.g. when an update to a
+// lead fails). Returns the conversion, or null if the lead wasn't converted.
+async function detectLeadConversion(leadId) {
+  const leadDetails = await getRecordDetails('Leads', leadId);
+  const lead = leadDetails && leadDetails.data && leadDetails.data[0];
+  if (!getConversionFromLead(lead)) {
+    return null;
+  }
+  
+  return handleZohoLeadConversion(leadId, lead);
+}
+
+module.exports = {
+  getConversionFromLead,
+  handleZohoLeadConversion,
+  detectLeadConversion
+};
\ No newline at end of file
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, DELETION_POLICY, FIELD_MAPPING, DEFAULT_MODULE, getAirtableConfigForModule } = require('../config/config');
+const { RECORD_DELETED, recordExpectedEcho, consumeExpectedEcho, clearSyncHistory } = require('../utils/syncTracker');
+const { getLinkedAirtableRecordId, getLinkedZohoId, getLeadConversion, forgetLink } = require('../utils/recordLinks');
+const { createSyncError } = require('../utils/syncErrors');
+const { updateZohoRecords, deleteZohoRecord } = require('./zohoService');
+const { updateAirtableRecord, deleteAirtableRecord, findAirtableRecordByZohoId } = require('./airtableService');
+
+// Every propagated (or skipped) deletion is appended here as one JSON line
+const AUDIT_LOG_PATH = path.join(DATA_DIR, 'deletion-audit.log');
+
+// Append an entry to the deletion audit log
+function auditDeletion(entry) {
+  const auditEntry = { timestamp: new Date().toISOString(), ...entry };
+  console.log(`🧾 Deletion audit: ${JSON.stringify(auditEntry)}`);
+  
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(AUDIT_LOG_PATH, JSON.stringify(auditEntry) + '\n');
+  } catch (error) {
+    console.error('Error writing deletion audit log:', error.message);
+  }
+}
+
+// Deletion policy for one direction, with any overrides for the Zoho module applied
+function getDeletionPolicy(direction, module) {
+  const { modules, ...policy } = DELETION_POLICY[direction];
+  return { ...policy, ...((modules && modules[module]) || {}) };
+}
+
+// Forget the echo expected from a deletion write that failed - no webhook will consume it
+function clearExpectedEcho(system, recordId, policy) {
+  if (policy.action === 'hard') {
+    clearSyncHistory(system, recordId, RECORD_DELETED);
+  } else if (policy.action === 'soft') {
+    clearSyncHistory(system, recordId, policy.softDeleteField);
+  }
+}
+
+// Read the deletion audit log, newest entries first
+function getDeletionAudit(limit = 100) {
+  try {
+    if (!fs.existsSync(AUDIT_LOG_PATH)) {
+      return [];
+    }
+    
+    return fs.readFileSync(AUDIT_LOG_PATH, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .reverse()
+      .slice(0, limit);
+  } catch (error) {
+    console.error('Error reading deletion audit log:', error.message);
+    return [];
+  }
+}
+
+// Apply the deletion policy after a record was deleted in Zoho
+async function handleZohoRecordDeletion(leadId, module = DEFAULT_MODULE) {
+  console.log(`\n🗑️  Zoho ${module} record ${leadId} was deleted`);
+  const policy = getDeletionPolicy('zohoToAirtable', module);
+  const airtableConfig = getAirtableConfigForModule(module);
+  const audit = { source: 'zoho', module, sourceId: leadId, action: policy.action };
+  
+  // A deletion we made ourselves comes back as a webhook - don't act on it twice
+  if (consumeExpectedEcho('zoho', leadId, RECORD_DELETED, true)) {
+    return;
+  }
+  
+  const airtableRecordId = getLinkedAirtableRecordId(leadId) || await findAirtableRecordByZohoId(leadId, airtableConfig);
+  if (!airtableRecordId) {
+    auditDeletion({ ...audit, result: 'skipped', reason: 'No linked Airtable record' });
+    return;
+  }
+  audit.counterpartId = airtableRecordId;
+  
+  let result;
+  if (policy.action === 'hard') {
+    recordExpectedEcho('airtable', airtableRecordId, RECORD_DELETED, true);
+    result = await deleteAirtableRecord(airtableRecordId, airtableConfig);
+  } else if (policy.action === 'soft') {
+    recordExpectedEcho('airtable', airtableRecordId, policy.softDeleteField, policy.softDeleteValue);
+    result = await updateAirtableRecord(airtableRecordId, { [policy.softDeleteField]: policy.softDeleteValue }, airtableConfig);
+  } else if (policy.action === 'unlink') {
+    result = await updateAirtableRecord(airtableRecordId, { [FIELD_MAPPING.ZOHO_ID.airtable]: null }, airtableConfig);
+  } else {
+    auditDeletion({ ...audit, result: 'failed', reason: `Unknown deletion action "${policy.action}"` });
+    return;
+  }
+  
+  if (!result) {
+    clearExpectedEcho('airtable', airtableRecordId, policy);
+    auditDeletion({ ...audit, result: 'failed', reason: 'Airtable request failed' });
+    throw new Error(`Could not apply ${policy.action} deletion to Airtable record ${airtableRecordId}`);
+  }
+  
+  forgetLink({ zohoId: leadId });
+  auditDeletion({ ...audit, result: 'applied' });
+}
+
+// Apply the deletion policy after a record was deleted in Airtable
+async function handleAirtableRecordDeletion(recordId, module = DEFAULT_MODULE) {
+  console.log(`\n🗑️  Airtable record ${recordId} was deleted`);
+  const policy = getDeletionPolicy('airtableToZoho', module);
+  const audit = { source: 'airtable', module, sourceId: recordId, action: policy.action };
+  
+  // A deletion we made ourselves comes back as a webhook - don't act on it twice
+  if (consumeExpectedEcho('airtable', recordId, RECORD_DELETED, true)) {
+    return;
+  }
+  
+  // The record is gone, so its Zoho CRM ID can only come from our link index
+  const zohoLeadId = getLinkedZohoId(recordId);
+  if (!zohoLeadId) {
+    auditDeletion({ ...audit, result: 'skipped', reason: `No known Zoho ${module} record for deleted record` });
+    return;
+  }
+  audit.counterpartId = zohoLeadId;
+  
+  // The lead lives on as a Contact/Deal - never delete or mark those from a lead row
+  if (module === 'Leads' && getLeadConversion(zohoLeadId)) {
+    forgetLink({ airtableRecordId: recordId });
+    auditDeletion({ ...audit, result: 'skipped', reason: 'Zoho lead was converted' });
+    return;
+  }
+  
+  let result;
+  if (policy.action === 'hard') {
+    recordExpectedEcho('zoho', zohoLeadId, RECORD_DELETED, true);
+    result = await deleteZohoRecord(module, zohoLeadId);
+  } else if (policy.action === 'soft') {
+    // Another module's field (e.g. Lead_Status) doesn't exist here - don't guess
+    if (!policy.softDeleteField) {
+      console.error(`❌ No soft delete field configured for Zoho ${module} - add one to DELETION_POLICY.airtableToZoho.modules`);
+      auditDeletion({ ...audit, result: 'failed', reason: `No soft delete field configured for Zoho ${module}` });
+      return;
+    }
+    recordExpectedEcho('zoho', zohoLeadId, policy.softDeleteField, policy.softDeleteValue);
+    [result] = await updateZohoRecords(module, [{ id: zohoLeadId, [policy.softDeleteField]: policy.softDeleteValue }]);
+  } else if (policy.action === 'unlink') {
+    // Nothing points back from Zoho to Airtable, so dropping our link is enough
+    result = { success: true };
+  } else {
+    auditDeletion({ ...audit, result: 'failed', reason: `Unknown deletion action "${policy.action}"` });
+    return;
+  }
+  
+  if (!result.success) {
+    clearExpectedEcho('zoho', zohoLeadId, policy);
+    auditDeletion({ ...audit, result: 'failed', reason: `Zoho request failed: ${result.code} - ${result.message}`, retried: result.transient });
+    throw createSyncError(`Could not apply ${policy.action} deletion to Zoho ${module} record ${zohoLeadId}`, result);
+  }
+  
+  forgetLink({ airtableRecordId: recordId });
+  auditDeletion({ ...audit, result: 'applied' });
+}
+
+module.exports = {
+  handleZohoRecordDeletion,
+  handleAirtableRecordDeletion,
+  getDeletionAudit
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+const { DEFAULT_MODULE, FIELD_METADATA_TTL_MS, getAirtableConfigForModule, clearFieldMappingCache } = require('../config/config');
+const { getFieldMetadata } = require('./zohoService');
+const { getTableFields, clearSchemaCache } = require('./airtableService');
+
+// Field types per Zoho module: { types, expiresAt }
+const fieldTypeCache = {};
+
+// Look up the field types on both sides of a Zoho module and its Airtable table.
+// Airtable fields are indexed by ID and by name, Zoho fields by API name. If either
+// side can't be read, its types are left empty and values are converted by shape.
+async function getFieldTypes(module = DEFAULT_MODULE) {
+  const cached = fieldTypeCache[module];
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.types;
+  }
+  
+  const airtableConfig = getAirtableConfigForModule(module);
+  const airtableFields = airtableConfig ? await getTableFields(airtableConfig) : null;
+  const zohoFields = await getFieldMetadata(module);
+  
+  const types = { airtable: {}, zoho: {} };
+  for (const field of airtableFields || []) {
+    types.airtable[field.id] = field;
+    types.airtable[field.name] = field;
+  }
+  for (const field of zohoFields || []) {
+    types.zoho[field.api_name] = field;
+  }
+  
+  // Only cache complete metadata, so a failed lookup is retried next time
+  if (airtableFields && zohoFields) {
+    fieldTypeCache[module] = { types, expiresAt: Date.now() + FIELD_METADATA_TTL_MS };
+  } else {
+    console.log(`⚠️  Field types for ${module} are incomplete - converting values by shape`);
+  }
+  
+  return types;
+}
+
+// Forget cached field types (all modules, or one)
+function clearFieldTypeCache(module = null) {
+  for (const cachedModule of Object.keys(fieldTypeCache)) {
+    if (!module || cachedModule === module) {
+      delete fieldTypeCache[cachedModule];
+    }
+  }
+}
+
+// Forget every cached field mapping, Airtable schema and field type, so they are
+// read again on next use (e.g. after the Zoho Fields table changed)
+function clearFieldMetadata() {
+  clearFieldMappingCache();
+  clearSchemaCache();
+  clearFieldTypeCache();
+  console.log('🔄 Cleared cached field mappings, Airtable schema and field types');
+}
+
+module.exports = {
+  getFieldTypes,
+  clearFieldTypeCache,
+  clearFieldMetadata
+};
\ No newline at end of file
@@ -0,0 +1,242 @@
+const {
+  MAPPING_VALIDATION,
+  SYNC_ERROR_FIELD,
+  allowsSyncFrom,
+  loadAirtableConfig,
+  getSyncPairs,
+  getMappingTableId,
+  getFieldMapping
+} = require('../config/config');
+const { getTableFields } = require('./airtableService');
+const { getFieldTypes } = require('./fieldTypeService');
+
+// Checks each row of the Zoho Fields table against the live Zoho field metadata and
+// the Airtable base schema: both fields must exist, their types must convert into
+// each other, and the side being written must not be read-only.
+
+const AIRTABLE_TEXT_TYPES = ['singleLineText', 'multilineText', 'richText', 'email', 'url', 'phoneNumber', 'singleSelect'];
+const AIRTABLE_NUMBER_TYPES = ['number', 'currency', 'percent', 'rating', 'duration'];
+
+// Airtable field types each Zoho field type can be synced with
+const COMPATIBLE_TYPES = {
+  text: AIRTABLE_TEXT_TYPES,
+  textarea: AIRTABLE_TEXT_TYPES,
+  email: AIRTABLE_TEXT_TYPES,
+  phone: AIRTABLE_TEXT_TYPES,
+  website: AIRTABLE_TEXT_TYPES,
+  picklist: AIRTABLE_TEXT_TYPES,
+  multiselectpicklist: ['multipleSelects', ...AIRTABLE_TEXT_TYPES],
+  integer: [...AIRTABLE_NUMBER_TYPES, ...AIRTABLE_TEXT_TYPES],
+  bigint: [...AIRTABLE_NUMBER_TYPES, ...AIRTABLE_TEXT_TYPES],
+  double: [...AIRTABLE_NUMBER_TYPES, ...AIRTABLE_TEXT_TYPES],
+  decimal: [...AIRTABLE_NUMBER_TYPES, ...AIRTABLE_TEXT_TYPES],
+  currency: [...AIRTABLE_NUMBER_TYPES, ...AIRTABLE_TEXT_TYPES],
+  percent: [...AIRTABLE_NUMBER_TYPES, ...AIRTABLE_TEXT_TYPES],
+  boolean: ['checkbox'],
+  date: ['date', 'dateTime', 'singleLineText'],
+  datetime: ['dateTime', 'date', 'singleLineText'],
+  lookup: ['multipleRecordLinks', ...AIRTABLE_TEXT_TYPES]
+};
+
+// Airtable fields computed by Airtable itself - they can be read but not written
+const AIRTABLE_READ_ONLY_TYPES = [
+  'formula',
+  'rollup',
+  'count',
+  'multipleLookupValues',
+  'autoNumber',
+  'createdTime',
+  'lastModifiedTime',
+  'createdBy',
+  'lastModifiedBy',
+  'button',
+  'externalSyncSource',
+  'aiText'
+];
+
+// Zoho fields computed by Zoho
+const ZOHO_READ_ONLY_TYPES = ['formula', 'autonumber', 'rollup_summary'];
+
+function isAirtableReadOnly(airtableField) {
+  return AIRTABLE_READ_ONLY_TYPES.includes(airtableField.type);
+}
+
+function isZohoReadOnly(zohoField) {
+  return Boolean(zohoField.read_only || zohoField.field_read_only || ZOHO_READ_ONLY_TYPES.includes(zohoField.data_type));
+}
+
+// Type of the values computed Airtable fields hold
+const AIRTABLE_COMPUTED_VALUE_TYPES = {
+  createdTime: 'dateTime',
+  lastModifiedTime: 'dateTime',
+  autoNumber: 'number',
+  count: 'number'
+};
+
+// Type of the values an Airtable field holds (formulas and lookups report their result type)
+function getAirtableValueType(airtableField) {
+  const result = airtableField.options && airtableField.options.result;
+  if (result && result.type) {
+    return result.type;
+  }
+  return AIRTABLE_COMPUTED_VALUE_TYPES[airtableField.type] || airtableField.type;
+}
+
+// Why a mapping can't be synced, as a list of messages (empty if it's fine). A side whose
+// metadata couldn't be read is not checked.
+function getMappingProblems(mapping, types) {
+  const problems = [];
+  const zohoKnown = Object.keys(types.zoho).length > 0;
+  const airtableKnown = Object.keys(types.airtable).length > 0;
+  const zohoField = types.zoho[mapping.zoho];
+  const airtableField = types.airtable[mapping.airtable];
+  
+  if (zohoKnown && !zohoField) {
+    problems.push(`Zoho field "${mapping.zoho}" does not exist`);
+  }
+  if (airtableKnown && !airtableField) {
+    problems.push(`Airtable field "${mapping.airtable}" does not exist`);
+  }
+  
+  if (zohoField && airtableField) {
+    const compatibleTypes = COMPATIBLE_TYPES[zohoField.data_type];
+    const airtableType = getAirtableValueType(airtableField);
+    if (compatibleTypes && !compatibleTypes.includes(airtableType)) {
+      problems.push(`Zoho ${zohoField.data_type} field "${mapping.zoho}" can't be synced with Airtable ${airtableType} field "${airtableField.name}"`);
+    }
+  }
+  
+  if (airtableField && isAirtableReadOnly(airtableField) && allowsSyncFrom(mapping, 'zoho')) {
+    problems.push(`Airtable field "${airtableField.name}" is a read-only ${airtableField.type} field - set the sync direction to Airtable → Zoho`);
+  }
+  if (zohoField && isZohoReadOnly(zohoField) && allowsSyncFrom(mapping, 'airtable')) {
+    problems.push(`Zoho field "${mapping.zoho}" is read-only - set the sync direction to Zoho → Airtable`);
+  }
+  
+  return problems;
+}
+
+// Check every mapping of a Zoho module. Invalid mappings come back with a "problems"
+// list and are left out of syncing (see allowsSyncFrom).
+async function markInvalidMappings(module, fieldMapping) {
+  const types = await getFieldTypes(module);
+  const checkedMapping = {};
+  
+  for (const [key, mapping] of Object.entries(fieldMapping)) {
+    // Entries like ZOHO_ID only name an Airtable field
+    const problems = mapping.zoho && mapping.airtable ? getMappingProblems(mapping, types) : [];
+    if (problems.length > 0) {
+      console.log(`❌ Invalid ${module} mapping ${mapping.zoho} → ${mapping.airtable}: ${problems.join('; ')}`);
+      checkedMapping[key] = { ...mapping, problems };
+    } else {
+      checkedMapping[key] = mapping;
+    }
+  }
+  
+  return checkedMapping;
+}
+
+// Validate the mappings of every synced module. Returns { valid, errors, warnings, modules },
+// where modules lists the invalid mappings of each module. Metadata that can't be read
+// (e.g. an API outage) is a warning, not an invalid mapping.
+async function validateFieldMappings() {
+  const report = { valid: true, checkedAt: new Date().toISOString(), errors: [], warnings: [], modules: [] };
+  
+  const airtableConfig = loadAirtableConfig();
+  if (!airtableConfig) {
+    report.valid = false;
+    report.errors.push('Airtable config could not be loaded');
+    return report;
+  }
+  
+  const mappingTableId = getMappingTableId(airtableConfig);
+  const mappingTable = await getTableFields({ ...airtableConfig, tableId: mappingTableId, tableName: null });
+  if (!mappingTable && !await getTableFields(airtableConfig)) {
+    report.warnings.push('Airtable base schema could not be read - Airtable fields were not checked');
+  } else if (!mappingTable) {
+    report.errors.push(`Zoho Fields table ${mappingTableId} was not found in base ${airtableConfig.baseId} - set "mappingTableId" in airtable-config.json`);
+  }
+  
+  for (const { module, tableName } of getSyncPairs(airtableConfig)) {
+    const fieldMapping = await getFieldMapping(module);
+    const fieldTypes = await getFieldTypes(module);
+    if (Object.keys(fieldTypes.zoho).length === 0) {
+      report.warnings.push(`Zoho field metadata for ${module} could not be read - Zoho fields were not checked`);
+    }
+    
+    // Optional, but without it sync problems only show up in the logs
+    if (Object.keys(fieldTypes.airtable).length > 0 && !fieldTypes.airtable[SYNC_ERROR_FIELD]) {
+      report.warnings.push(`Airtable table ${tableName} has no "${SYNC_ERROR_FIELD}" field - add a long text field to see sync problems on the records`);
+    }
+    
+    const mappings = Object.values(fieldMapping).filter(mapping => mapping.zoho && mapping.airtable);
+    const invalid = mappings
+      .filter(mapping => mapping.problems)
+      .map(mapping => ({
+        zohoField: mapping.zoho,
+        airtableField: mapping.airtable,
+        direction: mapping.direction || null,
+        recordId: mapping.recordId || null,
+        problems: mapping.problems
+      }));
+    
+    report.modules.push({ module, tableName, checked: mappings.length, invalid });
+  }
+  
+  report.valid = report.errors.length === 0 && report.modules.every(m => m.invalid.length === 0);
+  return report;
+}
+
+// Print a validation report
+function logValidationReport(report) {
+  console.log('\n=== Field Mapping Validation ===');
+  for (const error of report.errors) {
+    console.log(`❌ ${error}`);
+  }
+  for (const warning of report.warnings) {
+    console.log(`⚠️  ${warning}`);
+  }
+  
+  for (const { module, checked, invalid } of report.modules) {
+    console.log(`${invalid.length === 0 ? '✅' : '❌'} ${module}: ${checked} mapping(s), ${invalid.length} invalid`);
+    for (const mapping of invalid) {
+      const row = mapping.recordId ? ` (Zoho Fields row ${mapping.recordId})` : '';
+      console.log(`   - ${mapping.zohoField} → ${mapping.airtableField}${row}:`);
+      for (const problem of mapping.problems) {
+        console.log(`       ${problem}`);
+      }
+    }
+  }
+}
+
+// Validate mappings before the server starts. In 'strict' mode invalid mappings stop the
+// server; in 'mark' mode they are reported and skipped. Resolves to false if the server
+// must not start.
+async function validateMappingsAtStartup(mode = MAPPING_VALIDATION) {
+  if (mode === 'off') {
+    return true;
+  }
+  
+  const report = await validateFieldMappings();
+  logValidationReport(report);
+  
+  if (report.valid) {
+    return true;
+  }
+  
+  if (mode === 'strict') {
+    console.error('❌ Refusing to start with invalid field mappings - fix the rows above or set SYNC_MAPPING_VALIDATION=mark');
+    return false;
+  }
+  
+  console.log('⚠️  Invalid mappings will not be synced until they are fixed');
+  return true;
+}
+
+module.exports = {
+  isAirtableReadOnly,
+  getMappingProblems,
+  markInvalidMappings,
+  validateFieldMappings,
+  validateMappingsAtStartup
+};
\ No newline at end of file
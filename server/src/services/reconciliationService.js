@@ -0,0 +1,517 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  DATA_DIR,
+  FIELD_MAPPING,
+  AIRTABLE_LAST_MODIFIED_FIELD,
+  CONVERSION_FIELDS,
+  RECONCILIATION_POLICY,
+  SYNC_DIRECTIONS,
+  allowsSyncFrom,
+  DEFAULT_MODULE,
+  getFieldMapping,
+  shouldIgnoreField,
+  getSyncPairs,
+  getAirtableConfigForModule
+} = require('../config/config');
+const { recordExpectedEcho, forgetExpectedEcho } = require('../utils/syncTracker');
+const { rememberLink } = require('../utils/recordLinks');
+const { rememberSyncedValue } = require('../utils/syncState');
+const { listZohoRecords, updateZohoRecord } = require('./zohoService');
+const { getFieldTypes } = require('./fieldTypeService');
+const { validateFieldValue, isUnresolvedLink, normalizeZohoValue, toZohoValue, toAirtableValue, toComparableValue } = require('../utils/valueTransformers');
+const { listAirtableRecords, getFieldNames, indexFieldValues, updateAirtableRecord } = require('./airtableService');
+const { createAirtableRecordFromZohoRecord, createZohoRecordFromAirtableRecord } = require('./syncService');
+
+const REPORTS_DIR = path.join(DATA_DIR, 'reports');
+
+// Treat empty values the same on both sides
+function normalizeValue(value) {
+  if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return null;
+  }
+  return value;
+}
+
+function valuesEqual(a, b) {
+  return JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+}
+
+// Mappings that connect a Zoho field to an Airtable field and take part in sync
+function getSyncableMappings(fieldMapping) {
+  return Object.values(fieldMapping).filter(mapping =>
+    mapping.zoho && mapping.airtable && !shouldIgnoreField(mapping.zoho, 'zoho') &&
+    mapping.direction !== SYNC_DIRECTIONS.DISABLED && !mapping.problems
+  );
+}
+
+// Load one Zoho module and its Airtable table, and pair records by Zoho CRM ID.
+// Zoho records are called "leads" here whatever their module.
+async function loadSyncSnapshot(module = DEFAULT_MODULE) {
+  const config = getAirtableConfigForModule(module);
+  if (!config) {
+    throw new Error(`No Airtable table configured for Zoho module ${module}`);
+  }
+  
+  const leads = await listZohoRecords(module);
+  if (!leads) {
+    throw new Error(`Could not fetch Zoho ${module}`);
+  }
+  
+  const records = await listAirtableRecords(config);
+  if (!records) {
+    throw new Error(`Could not fetch Airtable records for ${module}`);
+  }
+  
+  const fieldMapping = await getFieldMapping(module);
+  const fieldTypes = await getFieldTypes(module);
+  const allFieldIds = [...new Set(records.flatMap(record => Object.keys(record.fields)))];
+  const fieldNames = allFieldIds.length > 0 ? await getFieldNames(config, allFieldIds) : {};
+  if (allFieldIds.length > 0 && Object.keys(fieldNames).length === 0) {
+    // Without field names we can't find Zoho CRM IDs and would create duplicates
+    throw new Error('Could not read the Airtable table schema');
+  }
+  
+  const leadsById = new Map(leads.map(lead => [String(lead.id), lead]));
+  const pairs = [];
+  const unlinkedRecords = [];
+  const airtableOrphans = [];
+  const convertedRecords = [];
+  const linkedLeadIds = new Set();
+  
+  for (const record of records) {
+    const values = indexFieldValues(record.fields, fieldNames);
+    const zohoId = values[FIELD_MAPPING.ZOHO_ID.airtable];
+    
+    if (!zohoId) {
+      unlinkedRecords.push({ record, values });
+    } else if (module === 'Leads' && values[CONVERSION_FIELDS.contact]) {
+      // Converted leads drop out of the Leads list - they aren't orphans
+      convertedRecords.push({ record, values, zohoId: String(zohoId) });
+    } else if (leadsById.has(String(zohoId))) {
+      pairs.push({ lead: leadsById.get(String(zohoId)), record, values });
+      linkedLeadIds.add(String(zohoId));
+    } else {
+      // Linked to a lead that no longer exists in Zoho
+      airtableOrphans.push({ record, values, zohoId: String(zohoId) });
+    }
+  }
+  
+  const zohoOrphans = leads.filter(lead => !linkedLeadIds.has(String(lead.id)));
+  
+  return {
+    module,
+    airtableConfig: config,
+    leads,
+    records,
+    fieldMapping,
+    fieldTypes,
+    pairs,
+    unlinkedRecords,
+    airtableOrphans,
+    convertedRecords,
+    zohoOrphans
+  };
+}
+
+// List every mapped field whose values differ between a lead and its record.
+// Values are compared in Zoho form, so select choices, links and percentages line up.
+function compareMappedFields(lead, values, fieldMapping, fieldTypes = {}) {
+  const differences = [];
+  
+  for (const mapping of getSyncableMappings(fieldMapping)) {
+    const zohoValue = lead[mapping.zoho];
+    const airtableValue = values[mapping.airtable];
+    const airtableValueInZohoForm = toZohoValue(airtableValue, mapping, fieldTypes);
+    
+    // Links to records we can't pair up can't be compared
+    if (isUnresolvedLink(airtableValueInZohoForm)) {
+      continue;
+    }
+    
+    const zohoValueAsSynced = normalizeZohoValue(zohoValue, mapping, fieldTypes);
+    
+    if (!valuesEqual(toComparableValue(zohoValueAsSynced), toComparableValue(airtableValueInZohoForm))) {
+      differences.push({
+        zohoField: mapping.zoho,
+        airtableField: mapping.airtable,
+        direction: mapping.direction || SYNC_DIRECTIONS.BIDIRECTIONAL,
+        zohoValue: normalizeValue(zohoValue),
+        airtableValue: normalizeValue(airtableValue)
+      });
+    }
+  }
+  
+  return differences;
+}
+
+// Side whose value wins for a drifted field. One-way fields are owned by the side
+// they sync from; bidirectional fields follow the source of truth.
+function getOwningSide(difference, sourceOfTruth) {
+  const mapping = { direction: difference.direction };
+  if (allowsSyncFrom(mapping, 'zoho') && allowsSyncFrom(mapping, 'airtable')) {
+    return sourceOfTruth;
+  }
+  return allowsSyncFrom(mapping, 'zoho') ? 'zoho' : 'airtable';
+}
+
+// Expect the echoes (field -> value) of a write to a record
+function recordEchoes(system, recordId, echoes) {
+  for (const [field, value] of Object.entries(echoes)) {
+    recordExpectedEcho(system, recordId, field, value);
+  }
+}
+
+// Forget the echoes of a write that failed - they would swallow a real change to that value
+function forgetEchoes(system, recordId, echoes) {
+  for (const [field, value] of Object.entries(echoes)) {
+    forgetExpectedEcho(system, recordId, field, value);
+  }
+}
+
+// Bring one linked pair in line, field by field, according to who owns each field
+async function reconcilePair(pair, differences, sourceOfTruth, summary, snapshot) {
+  const leadId = String(pair.lead.id);
+  const recordId = pair.record.id;
+  rememberLink(leadId, recordId);
+  
+  const airtableUpdates = {};
+  const zohoUpdates = {};
+  const syncedValues = {};
+  const airtableEchoes = {};
+  const zohoEchoes = {};
+  
+  for (const difference of differences) {
+    const mapping = { zoho: difference.zohoField, airtable: difference.airtableField };
+    const owner = getOwningSide(difference, sourceOfTruth);
+    
+    // Invalid source values (e.g. phone numbers) are reported instead of copied
+    const sourceValue = owner === 'zoho' ? difference.zohoValue : difference.airtableValue;
+    const problem = validateFieldValue(sourceValue, mapping, snapshot.fieldTypes);
+    if (problem) {
+      summary.errors.push({ module: snapshot.module, zohoId: leadId, recordId, error: problem });
+      continue;
+    }
+    
+    // Lookups to records without a known counterpart are left alone, not cleared
+    const convertedValue = owner === 'zoho'
+      ? toAirtableValue(difference.zohoValue, mapping, snapshot.fieldTypes)
+      : toZohoValue(difference.airtableValue, mapping, snapshot.fieldTypes);
+    if (isUnresolvedLink(convertedValue)) {
+      summary.errors.push({ module: snapshot.module, zohoId: leadId, recordId, error: `${difference.zohoField}: linked record has no known counterpart` });
+      continue;
+    }
+    
+    if (owner === 'zoho') {
+      const airtableValue = convertedValue;
+      airtableUpdates[difference.airtableField] = airtableValue;
+      syncedValues[difference.zohoField] = toComparableValue(toZohoValue(airtableValue, mapping, snapshot.fieldTypes));
+      airtableEchoes[difference.airtableField] = syncedValues[difference.zohoField];
+    } else {
+      const zohoValue = convertedValue;
+      zohoUpdates[difference.zohoField] = zohoValue;
+      syncedValues[difference.zohoField] = toComparableValue(zohoValue);
+      zohoEchoes[difference.zohoField] = syncedValues[difference.zohoField];
+    }
+  }
+  
+  const airtableFieldCount = Object.keys(airtableUpdates).length;
+  const zohoFieldCount = Object.keys(zohoUpdates).length;
+  if (airtableFieldCount === 0 && zohoFieldCount === 0) {
+    return;
+  }
+  
+  // Echoes are expected from the moment of the request, and forgotten if it fails
+  if (airtableFieldCount > 0) {
+    recordEchoes('airtable', recordId, airtableEchoes);
+    const result = await updateAirtableRecord(recordId, airtableUpdates, snapshot.airtableConfig);
+    if (!result) {
+      forgetEchoes('airtable', recordId, airtableEchoes);
+      throw new Error(`Could not update Airtable record ${recordId}`);
+    }
+    summary.fieldsUpdatedInAirtable += airtableFieldCount;
+  }
+  
+  if (zohoFieldCount > 0) {
+    recordEchoes('zoho', leadId, zohoEchoes);
+    const result = await updateZohoRecord(snapshot.module, leadId, { id: leadId, ...zohoUpdates });
+    if (!result) {
+      forgetEchoes('zoho', leadId, zohoEchoes);
+      throw new Error(`Could not update Zoho ${snapshot.module} record ${leadId}`);
+    }
+    summary.fieldsUpdatedInZoho += zohoFieldCount;
+  }
+  
+  // Both sides now agree - later edits are checked for conflicts against these values
+  for (const [zohoField, value] of Object.entries(syncedValues)) {
+    rememberSyncedValue(snapshot.module, leadId, zohoField, value);
+  }
+  
+  summary.pairsUpdated++;
+}
+
+// Save a report under data/reports and return its path. Strings are written as-is
+// (e.g. CSV), anything else as JSON.
+function saveReport(name, report, extension = 'json') {
+  try {
+    fs.mkdirSync(REPORTS_DIR, { recursive: true });
+    const reportPath = path.join(REPORTS_DIR, `${name}-${Date.now()}.${extension}`);
+    const content = typeof report === 'string' ? report : JSON.stringify(report, null, 2);
+    fs.writeFileSync(reportPath, content);
+    return reportPath;
+  } catch (error) {
+    console.error('Error saving report:', error.message);
+    return null;
+  }
+}
+
+// Load the newest saved report with the given name
+function loadLatestReport(name) {
+  try {
+    if (!fs.existsSync(REPORTS_DIR)) {
+      return null;
+    }
+    
+    const latest = fs.readdirSync(REPORTS_DIR)
+      .filter(file => file.startsWith(`${name}-`) && file.endsWith('.json'))
+      .sort()
+      .pop();
+    
+    return latest ? JSON.parse(fs.readFileSync(path.join(REPORTS_DIR, latest), 'utf8')) : null;
+  } catch (error) {
+    console.error('Error loading report:', error.message);
+    return null;
+  }
+}
+
+// Pair every Zoho record with its Airtable record, module by module, create missing
+// counterparts and bring mapped fields in line. Returns a summary report.
+async function runReconciliation(options = {}) {
+  const sourceOfTruth = options.sourceOfTruth || RECONCILIATION_POLICY.sourceOfTruth;
+  const createMissing = options.createMissing || RECONCILIATION_POLICY.createMissing;
+  
+  if (!['zoho', 'airtable'].includes(sourceOfTruth)) {
+    throw new Error(`Unknown source of truth "${sourceOfTruth}" (expected zoho or airtable)`);
+  }
+  
+  console.log(`\n🔁 Starting reconciliation (source of truth: ${sourceOfTruth})...`);
+  
+  const summary = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    sourceOfTruth,
+    modules: [],
+    zohoRecords: 0,
+    airtableRecords: 0,
+    linkedPairs: 0,
+    pairsUpdated: 0,
+    fieldsUpdatedInAirtable: 0,
+    fieldsUpdatedInZoho: 0,
+    createdInAirtable: 0,
+    createdInZoho: 0,
+    airtableOrphans: [],
+    errors: []
+  };
+  
+  for (const { module } of getSyncPairs()) {
+    console.log(`\n🔁 Reconciling Zoho ${module}...`);
+    summary.modules.push(module);
+    await reconcileModule(module, sourceOfTruth, createMissing, summary);
+  }
+  
+  summary.finishedAt = new Date().toISOString();
+  summary.reportPath = saveReport('reconciliation', summary);
+  
+  console.log('\n=== Reconciliation Summary ===');
+  console.log(`Modules: ${summary.modules.join(', ')}`);
+  console.log(`Zoho records: ${summary.zohoRecords}, Airtable records: ${summary.airtableRecords}, linked pairs: ${summary.linkedPairs}`);
+  console.log(`Pairs updated: ${summary.pairsUpdated} (${summary.fieldsUpdatedInAirtable} field(s) in Airtable, ${summary.fieldsUpdatedInZoho} in Zoho)`);
+  console.log(`Created: ${summary.createdInAirtable} in Airtable, ${summary.createdInZoho} in Zoho`);
+  console.log(`Airtable records linked to missing Zoho records: ${summary.airtableOrphans.length}`);
+  console.log(`Errors: ${summary.errors.length}`);
+  if (summary.reportPath) {
+    console.log(`Report saved to ${summary.reportPath}`);
+  }
+  
+  return summary;
+}
+
+// Reconcile one Zoho module with its Airtable table, adding the results to the summary.
+// A module that can't be loaded is reported as an error without stopping the others.
+async function reconcileModule(module, sourceOfTruth, createMissing, summary) {
+  let snapshot;
+  try {
+    snapshot = await loadSyncSnapshot(module);
+  } catch (error) {
+    summary.errors.push({ module, error: error.message });
+    return;
+  }
+  
+  summary.zohoRecords += snapshot.leads.length;
+  summary.airtableRecords += snapshot.records.length;
+  summary.linkedPairs += snapshot.pairs.length;
+  summary.airtableOrphans.push(...snapshot.airtableOrphans.map(orphan => ({
+    module,
+    recordId: orphan.record.id,
+    zohoId: orphan.zohoId
+  })));
+  
+  for (const pair of snapshot.pairs) {
+    try {
+      const differences = compareMappedFields(pair.lead, pair.values, snapshot.fieldMapping, snapshot.fieldTypes);
+      await reconcilePair(pair, differences, sourceOfTruth, summary, snapshot);
+    } catch (error) {
+      summary.errors.push({ module, zohoId: String(pair.lead.id), recordId: pair.record.id, error: error.message });
+    }
+  }
+  
+  if (createMissing.inAirtable) {
+    for (const lead of snapshot.zohoOrphans) {
+      const createdRecord = await createAirtableRecordFromZohoRecord(String(lead.id), lead, module);
+      if (createdRecord) {
+        summary.createdInAirtable++;
+      } else {
+        summary.errors.push({ module, zohoId: String(lead.id), error: 'Could not create Airtable record' });
+      }
+    }
+  }
+  
+  if (createMissing.inZoho) {
+    for (const { record } of snapshot.unlinkedRecords) {
+      try {
+        const zohoId = await createZohoRecordFromAirtableRecord(record.id, module);
+        if (zohoId) {
+          summary.createdInZoho++;
+        } else {
+          summary.errors.push({ module, recordId: record.id, error: `Could not create Zoho ${module} record (see Sync Error field)` });
+        }
+      } catch (error) {
+        // The Zoho record exists but isn't linked yet - the next run links it
+        summary.errors.push({ module, recordId: record.id, error: error.message });
+      }
+    }
+  }
+}
+
+// Compare both systems without writing anything. Lists every mapped field that
+// differs for linked pairs, plus records that exist on one side only.
+async function buildDriftReport() {
+  console.log('\n🔍 Building drift report (read-only)...');
+  
+  // Drift reports must be complete, so a module that can't be read fails the whole report
+  const snapshots = [];
+  for (const { module } of getSyncPairs()) {
+    snapshots.push(await loadSyncSnapshot(module));
+  }
+  
+  const drift = [];
+  const zohoOrphans = [];
+  const airtableOrphans = [];
+  
+  for (const snapshot of snapshots) {
+    const { module } = snapshot;
+    
+    for (const pair of snapshot.pairs) {
+      const differences = compareMappedFields(pair.lead, pair.values, snapshot.fieldMapping, snapshot.fieldTypes);
+      for (const difference of differences) {
+        drift.push({
+          module,
+          zohoId: String(pair.lead.id),
+          recordId: pair.record.id,
+          ...difference,
+          zohoModifiedTime: pair.lead.Modified_Time || null,
+          airtableModifiedTime: pair.values[AIRTABLE_LAST_MODIFIED_FIELD] || null
+        });
+      }
+    }
+    
+    // Zoho records with no Airtable record
+    zohoOrphans.push(...snapshot.zohoOrphans.map(lead => ({
+      module,
+      zohoId: String(lead.id),
+      zohoModifiedTime: lead.Modified_Time || null
+    })));
+    
+    // Records with no Zoho CRM ID, or one that points at a Zoho record that doesn't exist
+    airtableOrphans.push(
+      ...snapshot.unlinkedRecords.map(({ record, values }) => ({
+        module,
+        recordId: record.id,
+        zohoId: null,
+        reason: 'No Zoho CRM ID',
+        airtableModifiedTime: values[AIRTABLE_LAST_MODIFIED_FIELD] || null
+      })),
+      ...snapshot.airtableOrphans.map(({ record, values, zohoId }) => ({
+        module,
+        recordId: record.id,
+        zohoId,
+        reason: `Zoho ${module} record not found`,
+        airtableModifiedTime: values[AIRTABLE_LAST_MODIFIED_FIELD] || null
+      }))
+    );
+  }
+  
+  const report = {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      modules: snapshots.map(snapshot => snapshot.module),
+      zohoRecords: snapshots.reduce((total, snapshot) => total + snapshot.leads.length, 0),
+      airtableRecords: snapshots.reduce((total, snapshot) => total + snapshot.records.length, 0),
+      linkedPairs: snapshots.reduce((total, snapshot) => total + snapshot.pairs.length, 0),
+      convertedLeads: snapshots.reduce((total, snapshot) => total + snapshot.convertedRecords.length, 0),
+      pairsWithDrift: new Set(drift.map(entry => entry.recordId)).size,
+      driftedFields: drift.length,
+      zohoOrphans: zohoOrphans.length,
+      airtableOrphans: airtableOrphans.length
+    },
+    drift,
+    zohoOrphans,
+    airtableOrphans
+  };
+  
+  console.log('\n=== Drift Summary ===');
+  console.log(`Linked pairs: ${report.summary.linkedPairs}, with drift: ${report.summary.pairsWithDrift} (${report.summary.driftedFields} field(s))`);
+  console.log(`Zoho records without Airtable record: ${report.summary.zohoOrphans}`);
+  console.log(`Airtable records without Zoho record: ${report.summary.airtableOrphans}`);
+  
+  return report;
+}
+
+// Quote a value for CSV output
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Flatten a drift report into CSV, one row per drifted field or orphan
+function driftReportToCsv(report) {
+  const columns = [
+    'type', 'module', 'zohoId', 'recordId', 'zohoField', 'airtableField',
+    'zohoValue', 'airtableValue', 'zohoModifiedTime', 'airtableModifiedTime'
+  ];
+  
+  const rows = [
+    ...report.drift.map(entry => ({ type: 'drift', ...entry })),
+    ...report.zohoOrphans.map(entry => ({ type: 'zoho-orphan', ...entry })),
+    ...report.airtableOrphans.map(entry => ({ type: 'airtable-orphan', ...entry }))
+  ];
+  
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => toCsvCell(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  loadSyncSnapshot,
+  compareMappedFields,
+  runReconciliation,
+  buildDriftReport,
+  driftReportToCsv,
+  saveReport,
+  loadLatestReport
+};
\ No newline at end of file
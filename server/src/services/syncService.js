@@ -1,16 +1,60 @@
-const { FIELD_MAPPING, getFieldMapping } = require('../config/config');
-const { shouldSkipSync } = require('../utils/syncTracker');
-const { getLeadDetails, updateZohoLead } = require('./zohoService');
 const { 
-  updateAirtableRecord, 
+  FIELD_MAPPING, 
+  SYNC_ERROR_FIELD, 
+  AIRTABLE_LAST_MODIFIED_FIELD,
+  getFieldMapping, 
+  shouldIgnoreField, 
+  allowsSyncFrom,
+  loadAirtableConfig, 
+  saveAirtableConfig,
+  DEFAULT_MODULE,
+  getAirtableConfigForModule,
+  getModuleForTable,
+  getMappingTableId,
+  WRITE_BATCHING
+} = require('../config/config');
+const { RECORD_CREATED, recordExpectedEcho, consumeExpectedEcho } = require('../utils/syncTracker');
+const { getRecordDetails, createZohoRecord } = require('./zohoService');
+const { 
   createAirtableRecord, 
+  getAirtableRecord,
+  getFieldNames,
+  indexFieldValues,
   findAirtableRecordByZohoId, 
-  findZohoLeadByAirtableId 
+  findZohoLeadByAirtableId,
+  fetchWebhookPayloads,
+  processChangedTables,
+  getCreatedRecordIds,
+  getDestroyedRecordIds
 } = require('./airtableService');
+const { handleAirtableRecordDeletion } = require('./deletionService');
+const { queueAirtableUpdate, queueZohoUpdate } = require('./writeBatchService');
+const { detectLeadConversion } = require('./conversionService');
+const { getFieldTypes, clearFieldMetadata } = require('./fieldTypeService');
+const { checkForConflict, getConflict, markConflictResolved } = require('./conflictService');
+const { isAirtableReadOnly } = require('./mappingValidationService');
+const {
+  rememberLink,
+  getLinkedZohoId,
+  resolveZohoTarget,
+  rememberNewAirtableRecord,
+  isNewAirtableRecord
+} = require('../utils/recordLinks');
+const { rememberSyncedValue } = require('../utils/syncState');
+const { createSyncError, isTransientError } = require('../utils/syncErrors');
+const {
+  isPhoneField,
+  validateFieldValue,
+  isUnresolvedLink,
+  normalizeZohoValue,
+  toZohoValue,
+  toAirtableValue,
+  toComparableValue
+} = require('../utils/valueTransformers');
 
-// Helper function to get field mapping for a specific field
-async function getFieldMappingFor(zohoFieldName) {
-  const fieldMapping = await getFieldMapping();
+// Helper function to get field mapping for a specific field of a Zoho module
+async function getFieldMappingFor(zohoFieldName, module = DEFAULT_MODULE) {
+  const fieldMapping = await getFieldMapping(module);
   
   // Handle both static (FIELD_MAPPING) and dynamic mapping formats
   if (fieldMapping[zohoFieldName]) {
@@ -28,8 +72,8 @@ async function getFieldMappingFor(zohoFieldName) {
 }
 
 // Helper function to get Zoho CRM ID field mapping
-async function getZohoCrmIdMapping() {
-  const fieldMapping = await getFieldMapping();
+async function getZohoCrmIdMapping(module = DEFAULT_MODULE) {
+  const fieldMapping = await getFieldMapping(module);
   
   // Look for ZOHO_ID or equivalent in dynamic mapping
   if (fieldMapping.ZOHO_ID || fieldMapping['Zoho CRM ID']) {
@@ -40,10 +84,8 @@ async function getZohoCrmIdMapping() {
   return FIELD_MAPPING.ZOHO_ID;
 }
 
-// Sync phone field from Zoho to Airtable
+// Sync phone field from Zoho to Airtable (normalized to E.164 like every phone field)
 async function syncPhoneFromZohoToAirtable(leadId, newPhoneValue) {
-  console.log(`\n🔄 Syncing phone from Zoho lead ${leadId} to Airtable...`);
-  
   // Get field mapping for Phone field
   const phoneMapping = await getFieldMappingFor('Phone');
   if (!phoneMapping) {
@@ -51,50 +93,11 @@ async function syncPhoneFromZohoToAirtable(leadId, newPhoneValue) {
     return;
   }
   
-  // For now, we'll need to implement a mapping between Zoho lead IDs and Airtable record IDs
-  let airtableRecordId = await findAirtableRecordByZohoId(leadId);
-  
-  if (!airtableRecordId) {
-    console.log(`⚠️  No corresponding Airtable record found for Zoho lead ${leadId}`);
-    console.log(`📝 Creating Airtable record for this lead...`);
-    
-    // Get the lead details to create the Airtable record
-    const leadDetails = await getLeadDetails(leadId);
-    if (leadDetails && leadDetails.data && leadDetails.data[0]) {
-      const createdRecord = await createAirtableRecordFromZohoLead(leadId, leadDetails.data[0]);
-      if (createdRecord) {
-        airtableRecordId = createdRecord.id;
-        console.log(`✅ Created Airtable record: ${airtableRecordId}`);
-      } else {
-        console.log(`❌ Failed to create Airtable record`);
-        return;
-      }
-    } else {
-      console.log(`❌ Could not fetch lead details to create Airtable record`);
-      return;
-    }
-  }
-  
-  // IMPORTANT: Record this sync BEFORE making the update to prevent webhook loop
-  const { shouldSkipSync } = require('../utils/syncTracker');
-  const airtableField = phoneMapping.airtable;
-  const syncKey = `airtable:${airtableRecordId}:${airtableField}`;
-  
-  // Record that we're about to sync this value to Airtable
-  // This will prevent processing the resulting webhook
-  shouldSkipSync('airtable', airtableRecordId, airtableField, newPhoneValue);
-  console.log(`📝 Pre-recorded sync to prevent webhook loop: ${syncKey}`);
-  
-  const fieldUpdates = {};
-  fieldUpdates[airtableField] = newPhoneValue;
-  
-  await updateAirtableRecord(airtableRecordId, fieldUpdates);
+  await syncFieldFromZohoToAirtable(leadId, 'Phone', newPhoneValue, phoneMapping);
 }
 
-// Sync phone field from Airtable to Zoho  
+// Sync phone field from Airtable to Zoho (normalized to E.164 like every phone field)
 async function syncPhoneFromAirtableToZoho(recordId, newPhoneValue) {
-  console.log(`\n🔄 Syncing phone from Airtable record ${recordId} to Zoho...`);
-  
   // Get field mapping for Phone field
   const phoneMapping = await getFieldMappingFor('Phone');
   if (!phoneMapping) {
@@ -102,106 +105,327 @@ async function syncPhoneFromAirtableToZoho(recordId, newPhoneValue) {
     return;
   }
   
-  // Find the corresponding Zoho lead ID
-  const zohoLeadId = await findZohoLeadByAirtableId(recordId);
-  
-  if (!zohoLeadId) {
-    console.log(`⚠️  No corresponding Zoho lead found for Airtable record ${recordId}`);
-    return;
+  await syncFieldFromAirtableToZoho(recordId, 'Phone', newPhoneValue, phoneMapping);
+}
+
+// Whether the Airtable table (per getFieldTypes) has the Sync Error field. Airtable
+// rejects a whole update that names an unknown field, so without it problems are only logged.
+function hasSyncErrorField(fieldTypes) {
+  return Boolean(fieldTypes.airtable && fieldTypes.airtable[SYNC_ERROR_FIELD]);
+}
+
+// Airtable error types for a value or field it won't take, as opposed to an outage
+const REJECTED_VALUE_ERRORS = ['INVALID_VALUE_FOR_COLUMN', 'UNKNOWN_FIELD_NAME'];
+
+// The field a failed create was rejected for (quoted in Airtable's message), '' if the
+// message names none, or null if the request failed for another reason
+function getRejectedField(result) {
+  if (result.status !== 422 || !REJECTED_VALUE_ERRORS.includes(result.type)) {
+    return null;
+  }
+  const quoted = /"([^"]+)"/.exec(result.message || '');
+  return quoted ? quoted[1] : '';
+}
+
+// Report a sync problem on the Airtable record itself so it doesn't get lost in the logs
+async function flagSyncError(recordId, errorMessage, airtableConfig, module = DEFAULT_MODULE) {
+  console.error(`❌ ${errorMessage} [Airtable record ${recordId}]`);
+  if (hasSyncErrorField(await getFieldTypes(module))) {
+    await queueAirtableUpdate(recordId, { [SYNC_ERROR_FIELD]: errorMessage }, airtableConfig);
   }
-  
-  // IMPORTANT: Record this sync BEFORE making the update to prevent webhook loop
-  const { shouldSkipSync } = require('../utils/syncTracker');
-  const zohoField = phoneMapping.zoho;
-  const syncKey = `zoho:${zohoLeadId}:${zohoField}`;
-  
-  // Record that we're about to sync this value to Zoho
-  // This will prevent processing the resulting webhook
-  shouldSkipSync('zoho', zohoLeadId, zohoField, newPhoneValue);
-  console.log(`📝 Pre-recorded sync to prevent webhook loop: ${syncKey}`);
-  
-  const fieldUpdates = {
-    id: zohoLeadId
-  };
-  fieldUpdates[zohoField] = newPhoneValue;
-  
-  await updateZohoLead(zohoLeadId, fieldUpdates);
 }
 
-// Create Airtable record when new Zoho lead is created
-async function createAirtableRecordFromZohoLead(leadId, leadData) {
-  console.log(`\n📝 Creating Airtable record for new Zoho lead ${leadId}...`);
+// Create Airtable record when a new Zoho record (lead, contact, deal, ...) is created.
+// Every mapped field with a value is filled in, converted the same way as updates.
+async function createAirtableRecordFromZohoRecord(zohoId, zohoData, module = DEFAULT_MODULE) {
+  console.log(`\n📝 Creating Airtable record for new Zoho ${module} record ${zohoId}...`);
   
   try {
+    const airtableConfig = getAirtableConfigForModule(module);
     const recordData = {
       fields: {}
     };
     
     // Get Zoho CRM ID mapping
-    const zohoCrmIdMapping = await getZohoCrmIdMapping();
+    const zohoCrmIdMapping = await getZohoCrmIdMapping(module);
     if (zohoCrmIdMapping) {
-      recordData.fields[zohoCrmIdMapping.airtable] = leadId;
-      console.log(`📋 Adding Zoho CRM ID: ${leadId}`);
+      recordData.fields[zohoCrmIdMapping.airtable] = zohoId;
+      console.log(`📋 Adding Zoho CRM ID: ${zohoId}`);
     }
     
-    // Add phone if available and mapped
-    const phoneMapping = await getFieldMappingFor('Phone');
-    if (phoneMapping && leadData[phoneMapping.zoho]) {
-      recordData.fields[phoneMapping.airtable] = leadData[phoneMapping.zoho];
-      console.log(`📞 Adding Phone: ${leadData[phoneMapping.zoho]}`);
-    } else {
-      console.log(`📞 No phone number available or mapped`);
+    const fieldMapping = await getFieldMapping(module);
+    const fieldTypes = await getFieldTypes(module);
+    const syncedValues = {};
+    const problems = [];
+    const skipped = [];
+    for (const mapping of Object.values(fieldMapping)) {
+      if (!mapping.zoho || !mapping.airtable || !allowsSyncFrom(mapping, 'zoho')) {
+        continue;
+      }
+      
+      // Computed fields are filled in by Zoho or Airtable themselves
+      const airtableField = (fieldTypes.airtable || {})[mapping.airtable];
+      if (shouldIgnoreField(mapping.zoho, 'zoho') ||
+        (airtableField && (shouldIgnoreField(airtableField.name, 'airtable') || isAirtableReadOnly(airtableField)))) {
+        skipped.push(mapping.zoho);
+        continue;
+      }
+      
+      const value = zohoData[mapping.zoho];
+      if (value === undefined || value === null || value === '' || value === '-None-') {
+        continue;
+      }
+      
+      // Invalid values (e.g. phone numbers) are left out and flagged on the record
+      const problem = validateFieldValue(value, mapping, fieldTypes);
+      if (problem) {
+        problems.push(problem);
+        continue;
+      }
+      
+      const airtableValue = toAirtableValue(value, mapping, fieldTypes);
+      if (isUnresolvedLink(airtableValue)) {
+        continue;
+      }
+      recordData.fields[mapping.airtable] = airtableValue;
+      syncedValues[mapping.zoho] = toComparableValue(toZohoValue(airtableValue, mapping, fieldTypes));
+    }
+    
+    if (skipped.length > 0) {
+      console.log(`⏭️  Skipping computed or ignored fields: ${skipped.join(', ')}`);
+    }
+    if (problems.length > 0 && hasSyncErrorField(fieldTypes)) {
+      // Create the record anyway, with the problems flagged instead of the values
+      recordData.fields[SYNC_ERROR_FIELD] = problems.join('; ');
+    }
+    if (problems.length > 0) {
+      console.log(`⚠️  Fields that could not be populated: ${problems.join('; ')}`);
     }
     
-    console.log(`📝 Creating Airtable record with minimal fields:`, recordData.fields);
+    console.log(`📝 Creating Airtable record with ${Object.keys(syncedValues).length} mapped field(s):`, recordData.fields);
     
-    const createdRecord = await createAirtableRecord(recordData);
+    let result = await createAirtableRecord(recordData, airtableConfig);
     
+    // A value Airtable won't take (e.g. an unknown select option) fails the whole record -
+    // create it linked but empty rather than not at all. Other failures are left to the retry.
+    const rejectedField = result.success ? null : getRejectedField(result);
+    if (rejectedField !== null && zohoCrmIdMapping && Object.keys(syncedValues).length > 0) {
+      console.log(`⚠️  Airtable rejected ${rejectedField ? `field "${rejectedField}"` : 'the mapped fields'} - retrying with only the Zoho CRM ID`);
+      const fields = { [zohoCrmIdMapping.airtable]: zohoId };
+      if (hasSyncErrorField(fieldTypes)) {
+        fields[SYNC_ERROR_FIELD] = `Airtable rejected ${rejectedField ? `the value of "${rejectedField}"` : 'the mapped fields'} when the record was created from Zoho - no mapped fields were written (${result.message})`;
+      }
+      result = await createAirtableRecord({ fields }, airtableConfig);
+      for (const zohoField of Object.keys(syncedValues)) {
+        delete syncedValues[zohoField];
+      }
+    }
+    
+    const createdRecord = result.success ? result.record : null;
     if (createdRecord) {
-      console.log(`   - Zoho CRM ID: ${leadId}`);
-      console.log(`   - Phone: ${phoneMapping ? leadData[phoneMapping.zoho] || 'Not provided' : 'Not mapped'}`);
+      rememberLink(zohoId, createdRecord.id);
+      for (const [zohoField, value] of Object.entries(syncedValues)) {
+        rememberSyncedValue(module, zohoId, zohoField, value);
+      }
+      console.log(`   - Zoho CRM ID: ${zohoId}`);
+      console.log(`   - Mapped fields: ${Object.keys(syncedValues).join(', ') || 'none'}`);
     }
     
     return createdRecord;
   } catch (error) {
-    console.error('❌ Error in createAirtableRecordFromZohoLead:', error.message);
+    console.error('❌ Error in createAirtableRecordFromZohoRecord:', error.message);
     return null;
   }
 }
 
-// Handle Zoho lead update - check for field changes and sync
-async function handleZohoLeadUpdate(leadId, leadData, changedFieldsInfo) {
+// Create Zoho record when an Airtable record has no Zoho CRM ID yet
+async function createZohoRecordFromAirtableRecord(recordId, module = DEFAULT_MODULE) {
+  console.log(`\n📝 Creating Zoho ${module} record for Airtable record ${recordId}...`);
+  
+  const config = getAirtableConfigForModule(module);
+  if (!config) {
+    console.error(`No Airtable table configured for Zoho module ${module}`);
+    return null;
+  }
+  
+  const record = await getAirtableRecord(recordId, config);
+  if (!record) {
+    console.log(`❌ Could not fetch Airtable record ${recordId}`);
+    return null;
+  }
+  
+  const fieldNames = await getFieldNames(config, Object.keys(record.fields));
+  const values = indexFieldValues(record.fields, fieldNames);
+  
+  const existingZohoId = values[FIELD_MAPPING.ZOHO_ID.airtable];
+  if (existingZohoId) {
+    console.log(`⏭️  Airtable record ${recordId} is already linked to Zoho ${module} record ${existingZohoId}`);
+    rememberLink(existingZohoId, recordId);
+    return null;
+  }
+  
+  // A Zoho record was created for it before, but writing the ID back failed - retry that
+  const createdZohoId = getLinkedZohoId(recordId);
+  if (createdZohoId) {
+    console.log(`🔗 Zoho ${module} record ${createdZohoId} was already created for Airtable record ${recordId}`);
+    await linkAirtableRecordToZoho(recordId, createdZohoId, {}, config, module);
+    return createdZohoId;
+  }
+  
+  // Fill the Zoho record from every mapped field that has a value
+  const fieldMapping = await getFieldMapping(module);
+  const fieldTypes = await getFieldTypes(module);
+  const zohoData = {};
+  const problems = [];
+  for (const mapping of Object.values(fieldMapping)) {
+    if (!mapping.zoho || !mapping.airtable || shouldIgnoreField(mapping.zoho, 'zoho') || !allowsSyncFrom(mapping, 'airtable')) {
+      continue;
+    }
+    
+    const value = values[mapping.airtable];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    
+    // Invalid values (e.g. phone numbers) are left out and flagged on the record
+    const problem = validateFieldValue(value, mapping, fieldTypes);
+    if (problem) {
+      problems.push(problem);
+      continue;
+    }
+    
+    const zohoValue = toZohoValue(value, mapping, fieldTypes);
+    if (!isUnresolvedLink(zohoValue)) {
+      zohoData[mapping.zoho] = zohoValue;
+    }
+  }
+  
+  if (Object.keys(zohoData).length === 0) {
+    if (problems.length > 0) {
+      await flagSyncError(recordId, problems.join('; '), config, module);
+    }
+    console.log(`⏭️  Airtable record ${recordId} has no mapped values yet - waiting for edits`);
+    return null;
+  }
+  
+  console.log(`📝 Creating Zoho ${module} record with fields:`, zohoData);
+  const result = await createZohoRecord(module, zohoData);
+  
+  if (!result.success) {
+    // Throw so the queue retries a request that may work later
+    if (result.transient) {
+      throw createSyncError(`Zoho ${module} record not created for Airtable record ${recordId}`, result);
+    }
+    const details = result.details ? ` (${JSON.stringify(result.details)})` : '';
+    const errorMessage = `Zoho ${module} record not created: ${result.code} - ${result.message}${details}`;
+    await flagSyncError(recordId, errorMessage, config, module);
+    return null;
+  }
+  
+  // Zoho will notify us about the record we just created - it's already linked
+  recordExpectedEcho('zoho', result.id, RECORD_CREATED, true);
+  
+  for (const [zohoField, value] of Object.entries(zohoData)) {
+    rememberSyncedValue(module, result.id, zohoField, toComparableValue(value));
+  }
+  
+  const fieldUpdates = {};
+  if (problems.length > 0 && hasSyncErrorField(fieldTypes)) {
+    fieldUpdates[SYNC_ERROR_FIELD] = problems.join('; ');
+  } else if (values[SYNC_ERROR_FIELD]) {
+    fieldUpdates[SYNC_ERROR_FIELD] = null;
+  }
+  
+  await linkAirtableRecordToZoho(recordId, result.id, fieldUpdates, config, module);
+  return result.id;
+}
+
+// Write a new Zoho record's ID (plus fieldUpdates) to its Airtable record. The link is
+// remembered first, so when the write fails and is retried, the retry writes the ID
+// instead of creating a second Zoho record.
+async function linkAirtableRecordToZoho(recordId, zohoId, fieldUpdates, config, module) {
+  rememberLink(zohoId, recordId);
+  
+  const updated = await queueAirtableUpdate(recordId, { [FIELD_MAPPING.ZOHO_ID.airtable]: zohoId, ...fieldUpdates }, config);
+  if (!updated.success) {
+    throw createSyncError(`Zoho ${module} record ${zohoId} was created, but its ID could not be written to Airtable record ${recordId}`, updated);
+  }
+  console.log(`✅ Linked Airtable record ${recordId} to new Zoho ${module} record ${zohoId}`);
+}
+
+// Reads shared by the field syncs of one record update: readOnce(key, read) runs read()
+// the first time a key is asked for and hands every later caller the same promise, so
+// the counterpart record is looked up and fetched once rather than once per field
+function createReadOnce() {
+  const reads = new Map();
+  return (key, read) => {
+    if (!reads.has(key)) {
+      reads.set(key, read());
+    }
+    return reads.get(key);
+  };
+}
+
+// Used when a field is synced on its own
+function readNow(key, read) {
+  return read();
+}
+
+// Handle Zoho record update - check for field changes and sync
+async function handleZohoRecordUpdate(zohoId, zohoData, changedFieldsInfo, module = DEFAULT_MODULE) {
   if (!changedFieldsInfo || !changedFieldsInfo.changedFields) {
     return;
   }
   
-  // Get all field mappings to check for changes
-  const fieldMapping = await getFieldMapping();
+  // Fields are synced together so their writes merge into one Airtable update
+  const syncs = [];
+  const readOnce = createReadOnce();
   
   // Check each changed field to see if it should be synced
   for (const changedField of changedFieldsInfo.changedFields) {
-    const mapping = await getFieldMappingFor(changedField);
+    const mapping = await getFieldMappingFor(changedField, module);
     
     if (mapping) {
       const newValue = changedFieldsInfo.currentValues[changedField];
-      console.log(`🔄 ${changedField} field changed in Zoho lead ${leadId}: ${newValue}`);
+      console.log(`🔄 ${changedField} field changed in Zoho ${module} record ${zohoId}: ${newValue}`);
+      
+      // Skip changes that are the echo of our own write
+      const fieldTypes = await getFieldTypes(module);
+      const comparableValue = toComparableValue(normalizeZohoValue(newValue, mapping, fieldTypes));
+      if (consumeExpectedEcho('zoho', zohoId, changedField, comparableValue)) {
+        continue;
+      }
       
-      // Check if we should skip this sync to prevent loops
-      if (!shouldSkipSync('zoho', leadId, changedField, newValue)) {
-        await syncFieldFromZohoToAirtable(leadId, changedField, newValue, mapping);
+      if (mapping.problems) {
+        console.log(`⏭️  Not syncing ${changedField} to Airtable - mapping is invalid: ${mapping.problems.join('; ')}`);
+        continue;
       }
+      if (!allowsSyncFrom(mapping, 'zoho')) {
+        console.log(`⏭️  Not syncing ${changedField} to Airtable - mapping direction is ${mapping.direction}`);
+        continue;
+      }
+      
+      syncs.push(syncFieldFromZohoToAirtable(zohoId, changedField, newValue, mapping, module, { modifiedTime: zohoData.Modified_Time, readOnce }));
     }
   }
+  
+  await Promise.all(syncs);
 }
 
-// Handle Airtable record update - check for field changes and sync
-async function handleAirtableRecordUpdate(recordId, changedFieldsInfo) {
-  console.log(`\n🔍 Processing Airtable record update for ${recordId}`);
+// Handle Airtable record update - check for field changes and sync.
+// modifiedTime is when the change was made (the webhook payload's timestamp).
+async function handleAirtableRecordUpdate(recordId, changedFieldsInfo, module = DEFAULT_MODULE, modifiedTime = null) {
+  console.log(`\n🔍 Processing Airtable record update for ${recordId} (${module})`);
   
   // Get dynamic field mappings
-  const fieldMapping = await getFieldMapping();
+  const fieldMapping = await getFieldMapping(module);
+  const fieldTypes = await getFieldTypes(module);
   console.log(`📋 Available field mappings: ${Object.keys(fieldMapping).join(', ')}`);
   
+  // Fields are synced together so their writes merge into one Zoho update
+  const readOnce = createReadOnce();
+  const syncs = [];
+  
   // Look for mapped field changes
   for (const fieldInfo of changedFieldsInfo) {
     console.log(`\n🔎 Checking field: ${fieldInfo.fieldName} (ID: ${fieldInfo.fieldId})`);
@@ -233,81 +457,553 @@ async function handleAirtableRecordUpdate(recordId, changedFieldsInfo) {
     if (mappedZohoField && mapping) {
       console.log(`🔄 Syncing ${mappedZohoField} from Airtable to Zoho: ${JSON.stringify(fieldInfo.currentValue)}`);
       
-      // Check if we should skip this sync to prevent loops
+      // Skip changes that are the echo of our own write. Echoes are compared in Zoho
+      // form, since Airtable sends select choices and links back as objects.
       const airtableFieldKey = fieldInfo.fieldId || fieldInfo.fieldName;
-      if (!shouldSkipSync('airtable', recordId, airtableFieldKey, fieldInfo.currentValue)) {
-        await syncFieldFromAirtableToZoho(recordId, mappedZohoField, fieldInfo.currentValue, mapping);
-      } else {
-        console.log(`⏭️  Skipping sync due to cooldown`);
+      const comparableValue = toComparableValue(toZohoValue(fieldInfo.currentValue, mapping, fieldTypes));
+      if (consumeExpectedEcho('airtable', recordId, airtableFieldKey, comparableValue)) {
+        continue;
+      }
+      
+      if (mapping.problems) {
+        console.log(`⏭️  Not syncing ${mappedZohoField} to Zoho - mapping is invalid: ${mapping.problems.join('; ')}`);
+        continue;
+      }
+      if (!allowsSyncFrom(mapping, 'airtable')) {
+        console.log(`⏭️  Not syncing ${mappedZohoField} to Zoho - mapping direction is ${mapping.direction}`);
+        continue;
       }
+      
+      syncs.push(syncFieldFromAirtableToZoho(recordId, mappedZohoField, fieldInfo.currentValue, mapping, module, { modifiedTime, readOnce }));
     } else {
       console.log(`⚠️  No Zoho mapping found for Airtable field: ${fieldInfo.fieldName || fieldInfo.fieldId}`);
     }
   }
+  
+  await Promise.all(syncs);
 }
 
-// Generic function to sync any field from Zoho to Airtable
-async function syncFieldFromZohoToAirtable(leadId, zohoFieldName, newValue, mapping) {
-  console.log(`\n🔄 Syncing ${zohoFieldName} from Zoho lead ${leadId} to Airtable...`);
+// ID of the Airtable record linked to a Zoho record, creating the record if there is none
+async function findOrCreateAirtableRecord(zohoId, module, airtableConfig) {
+  const airtableRecordId = await findAirtableRecordByZohoId(zohoId, airtableConfig);
+  if (airtableRecordId) {
+    return airtableRecordId;
+  }
+  
+  console.log(`⚠️  No corresponding Airtable record found for Zoho ${module} record ${zohoId}`);
+  console.log(`📝 Creating Airtable record for this ${module} record...`);
   
-  // Find corresponding Airtable record
-  let airtableRecordId = await findAirtableRecordByZohoId(leadId);
+  const zohoDetails = await getRecordDetails(module, zohoId);
+  if (!zohoDetails || !zohoDetails.data || !zohoDetails.data[0]) {
+    console.log(`❌ Could not fetch ${module} record details to create Airtable record`);
+    return null;
+  }
+  
+  const createdRecord = await createAirtableRecordFromZohoRecord(zohoId, zohoDetails.data[0], module);
+  if (!createdRecord) {
+    console.log(`❌ Failed to create Airtable record`);
+    return null;
+  }
   
+  console.log(`✅ Created Airtable record: ${createdRecord.id}`);
+  return createdRecord.id;
+}
+
+// Generic function to sync any field from Zoho to Airtable. Options:
+//   modifiedTime - when the field changed in Zoho (its Modified_Time)
+//   force        - skip the conflict check (used when settling a conflict)
+//   discarded    - the losing change of a conflict this sync settles
+//   readOnce     - shares reads of the Airtable record with the other fields of the update
+async function syncFieldFromZohoToAirtable(zohoId, zohoFieldName, newValue, mapping, module = DEFAULT_MODULE, options = {}) {
+  console.log(`\n🔄 Syncing ${zohoFieldName} from Zoho ${module} record ${zohoId} to Airtable...`);
+  const airtableConfig = getAirtableConfigForModule(module);
+  const readOnce = options.readOnce || readNow;
+  
+  // Find corresponding Airtable record (created once for all fields of the update if missing)
+  const airtableRecordId = await readOnce('airtableRecordId', () => findOrCreateAirtableRecord(zohoId, module, airtableConfig));
   if (!airtableRecordId) {
-    console.log(`⚠️  No corresponding Airtable record found for Zoho lead ${leadId}`);
-    console.log(`📝 Creating Airtable record for this lead...`);
-    
-    const leadDetails = await getLeadDetails(leadId);
-    if (leadDetails && leadDetails.data && leadDetails.data[0]) {
-      const createdRecord = await createAirtableRecordFromZohoLead(leadId, leadDetails.data[0]);
-      if (createdRecord) {
-        airtableRecordId = createdRecord.id;
-        console.log(`✅ Created Airtable record: ${airtableRecordId}`);
-      } else {
-        console.log(`❌ Failed to create Airtable record`);
-        return;
-      }
-    } else {
-      console.log(`❌ Could not fetch lead details to create Airtable record`);
+    return;
+  }
+  
+  // Invalid values (e.g. phone numbers) aren't synced - flag them on the record instead
+  const fieldTypes = await getFieldTypes(module);
+  const problem = validateFieldValue(newValue, mapping, fieldTypes);
+  if (problem) {
+    await flagSyncError(airtableRecordId, `Not synced from Zoho - ${problem}`, airtableConfig, module);
+    return;
+  }
+  
+  // The field may have been edited in Airtable too since we last synced it
+  let discarded = options.discarded || null;
+  if (!options.force) {
+    const change = {
+      module,
+      zohoId,
+      airtableRecordId,
+      zohoField: mapping.zoho,
+      airtableField: mapping.airtable,
+      source: 'zoho',
+      zoho: {
+        value: newValue,
+        comparable: toComparableValue(normalizeZohoValue(newValue, mapping, fieldTypes)),
+        modifiedTime: options.modifiedTime || null
+      },
+      airtable: await readAirtableSide(airtableRecordId, mapping, fieldTypes, airtableConfig, readOnce)
+    };
+    const outcome = checkForConflict(change);
+    if (!await shouldWriteChange(change, outcome, mapping)) {
       return;
     }
+    discarded = outcome.discarded || null;
   }
   
-  // Pre-record sync to prevent webhook loop
-  const { shouldSkipSync } = require('../utils/syncTracker');
-  const airtableField = mapping.airtable;
-  shouldSkipSync('airtable', airtableRecordId, airtableField, newValue);
-  console.log(`📝 Pre-recorded sync to prevent webhook loop`);
+  // Convert to the Airtable field's type (select, linked record, checkbox, ...)
+  const airtableValue = toAirtableValue(newValue, mapping, fieldTypes);
+  if (isUnresolvedLink(airtableValue)) {
+    return;
+  }
+  const syncedValue = toComparableValue(toZohoValue(airtableValue, mapping, fieldTypes));
   
+  const airtableField = mapping.airtable;
   const fieldUpdates = {};
-  fieldUpdates[airtableField] = newValue;
+  fieldUpdates[airtableField] = airtableValue;
+  
+  // A valid number replaces an earlier invalid one, so its error can go
+  if (isPhoneField(mapping, fieldTypes) && hasSyncErrorField(fieldTypes)) {
+    fieldUpdates[SYNC_ERROR_FIELD] = null;
+  }
   
-  await updateAirtableRecord(airtableRecordId, fieldUpdates);
+  // Written together with other fields changed in the same window; the expected echo
+  // is recorded when the update is sent, to prevent a webhook loop
+  const result = await queueAirtableUpdate(airtableRecordId, fieldUpdates, airtableConfig, { [airtableField]: syncedValue });
+  if (!result.success) {
+    // Throw so the queue retries
+    throw createSyncError(`Could not update ${airtableField} on Airtable record ${airtableRecordId}`, result);
+  }
+  
+  rememberSyncedValue(module, zohoId, mapping.zoho, syncedValue, discarded);
 }
 
-// Generic function to sync any field from Airtable to Zoho
-async function syncFieldFromAirtableToZoho(recordId, zohoFieldName, newValue, mapping) {
-  console.log(`\n🔄 Syncing ${zohoFieldName} from Airtable record ${recordId} to Zoho...`);
+// Generic function to sync any field from Airtable to Zoho. Options:
+//   modifiedTime - when the field changed in Airtable
+//   force        - skip the conflict check (used when settling a conflict)
+//   discarded    - the losing change of a conflict this sync settles
+//   readOnce     - shares reads of the Zoho record with the other fields of the update
+async function syncFieldFromAirtableToZoho(recordId, zohoFieldName, newValue, mapping, module = DEFAULT_MODULE, options = {}) {
+  console.log(`\n🔄 Syncing ${zohoFieldName} from Airtable record ${recordId} to Zoho ${module}...`);
+  const airtableConfig = getAirtableConfigForModule(module);
+  const readOnce = options.readOnce || readNow;
+  
+  const linkedZohoId = await readOnce('zohoId', () => findZohoLeadByAirtableId(recordId, airtableConfig));
+  
+  if (!linkedZohoId) {
+    console.log(`⚠️  No corresponding Zoho ${module} record found for Airtable record ${recordId}`);
+    if (!isNewAirtableRecord(recordId)) {
+      // Never synced, or unlinked on purpose - reconciliation can still create one
+      console.log(`⏭️  Airtable record ${recordId} was not created in Airtable while syncing - not creating a Zoho record for it`);
+      return;
+    }
+    
+    // Records created empty in the Airtable UI only get their values later - one Zoho
+    // record is created for all fields of the update
+    await readOnce('createdZohoId', () => createZohoRecordFromAirtableRecord(recordId, module));
+    return;
+  }
   
-  const zohoLeadId = await findZohoLeadByAirtableId(recordId);
+  // Edits to a converted lead go to the Contact it became
+  let target = resolveZohoTarget(module, linkedZohoId);
+  let fieldTypes = await getTargetFieldTypes(target, mapping, module);
+  if (!fieldTypes) {
+    return;
+  }
+  
+  // Invalid values (e.g. phone numbers) aren't synced - flag them on the record instead
+  const problem = validateFieldValue(newValue, mapping, fieldTypes);
+  if (problem) {
+    await flagSyncError(recordId, problem, airtableConfig, module);
+    return;
+  }
   
-  if (!zohoLeadId) {
-    console.log(`⚠️  No corresponding Zoho lead found for Airtable record ${recordId}`);
+  // Convert to the Zoho field's type (picklist, lookup, boolean, number, ...)
+  let zohoValue = toZohoValue(newValue, mapping, fieldTypes);
+  if (isUnresolvedLink(zohoValue)) {
     return;
   }
   
-  // Pre-record sync to prevent webhook loop
-  const { shouldSkipSync } = require('../utils/syncTracker');
-  const zohoField = mapping.zoho;
-  shouldSkipSync('zoho', zohoLeadId, zohoField, newValue);
-  console.log(`📝 Pre-recorded sync to prevent webhook loop`);
+  // The field may have been edited in Zoho too since we last synced it
+  let discarded = options.discarded || null;
+  if (!options.force) {
+    const change = {
+      module,
+      zohoId: linkedZohoId,
+      airtableRecordId: recordId,
+      zohoField: mapping.zoho,
+      airtableField: mapping.airtable,
+      source: 'airtable',
+      zoho: await readZohoSide(target, mapping, fieldTypes, readOnce),
+      airtable: {
+        value: newValue,
+        comparable: toComparableValue(zohoValue),
+        modifiedTime: options.modifiedTime || null
+      }
+    };
+    const outcome = checkForConflict(change);
+    if (!await shouldWriteChange(change, outcome, mapping)) {
+      return;
+    }
+    discarded = outcome.discarded || null;
+  }
+  
+  let result = await updateZohoField(target, mapping.zoho, zohoValue);
+  
+  // The lead may have been converted without us hearing about it
+  if (!result.success && target.module === 'Leads') {
+    const conversion = await detectLeadConversion(target.zohoId);
+    if (conversion && conversion.contactId) {
+      target = { module: 'Contacts', zohoId: conversion.contactId };
+      fieldTypes = await getTargetFieldTypes(target, mapping, module);
+      if (!fieldTypes) {
+        return;
+      }
+      zohoValue = toZohoValue(newValue, mapping, fieldTypes);
+      if (isUnresolvedLink(zohoValue)) {
+        return;
+      }
+      result = await updateZohoField(target, mapping.zoho, zohoValue);
+    }
+  }
+  
+  if (!result.success) {
+    throw createSyncError(`Could not update ${mapping.zoho} on Zoho ${target.module} record ${target.zohoId}`, result);
+  }
+  
+  rememberSyncedValue(module, linkedZohoId, mapping.zoho, toComparableValue(zohoValue), discarded);
+  
+  // A valid number replaces an earlier invalid one, so its error can go
+  if (isPhoneField(mapping, fieldTypes) && hasSyncErrorField(fieldTypes)) {
+    await queueAirtableUpdate(recordId, { [SYNC_ERROR_FIELD]: null }, airtableConfig);
+  }
+}
+
+// Field types for writing a field of a module's Airtable record to a Zoho record
+// ({ module, zohoId }). A converted lead's edits go to a Contact, whose fields differ
+// from a lead's: the Zoho side uses the Contacts types, and fields the Contacts mapping
+// doesn't have (Company, Lead_Status, ...) aren't synced (null).
+async function getTargetFieldTypes(target, mapping, module) {
+  const fieldTypes = await getFieldTypes(module);
+  if (target.module === module) {
+    return fieldTypes;
+  }
+  
+  const targetMapping = await getFieldMappingFor(mapping.zoho, target.module);
+  if (!targetMapping || !targetMapping.zoho || !allowsSyncFrom(targetMapping, 'airtable')) {
+    console.log(`⏭️  Not syncing ${mapping.zoho} to Zoho ${target.module} record ${target.zohoId} - not a mapped ${target.module} field`);
+    return null;
+  }
+  
+  const targetTypes = await getFieldTypes(target.module);
+  return { airtable: fieldTypes.airtable, zoho: targetTypes.zoho };
+}
+
+// Current value and last-modified time of a mapped field on an Airtable record, as a
+// conflict check side. Null if the record (or the field's ID) can't be found, or if its
+// linked records can't be translated to Zoho.
+async function readAirtableSide(recordId, mapping, fieldTypes, airtableConfig, readOnce = readNow) {
+  const airtableTypes = fieldTypes.airtable || {};
+  const field = airtableTypes[mapping.airtable];
+  const fieldId = field ? field.id : mapping.airtable;
+  
+  // Records are read with fields keyed by ID
+  if (!fieldId.startsWith('fld')) {
+    return null;
+  }
   
-  const fieldUpdates = {
-    id: zohoLeadId
+  const record = await readOnce(`airtable:${recordId}`, () => getAirtableRecord(recordId, airtableConfig));
+  if (!record) {
+    return null;
+  }
+  
+  const lastModifiedField = airtableTypes[AIRTABLE_LAST_MODIFIED_FIELD];
+  const value = record.fields[fieldId] === undefined ? null : record.fields[fieldId];
+  const zohoValue = toZohoValue(value, mapping, fieldTypes);
+  if (isUnresolvedLink(zohoValue)) {
+    return null;
+  }
+  return {
+    value,
+    comparable: toComparableValue(zohoValue),
+    modifiedTime: lastModifiedField ? record.fields[lastModifiedField.id] || null : null
+  };
+}
+
+// Current value and Modified_Time of a mapped field on a Zoho record ({ module, zohoId }),
+// as a conflict check side. Null if the record can't be read.
+async function readZohoSide(target, mapping, fieldTypes, readOnce = readNow) {
+  const details = await readOnce(`zoho:${target.module}:${target.zohoId}`, () => getRecordDetails(target.module, target.zohoId));
+  const record = details && details.data && details.data[0];
+  if (!record) {
+    return null;
+  }
+  
+  const value = record[mapping.zoho] === undefined ? null : record[mapping.zoho];
+  return {
+    value,
+    comparable: toComparableValue(normalizeZohoValue(value, mapping, fieldTypes)),
+    modifiedTime: record.Modified_Time || null
   };
+}
+
+// Act on the result of a conflict check. Returns true if the change should be synced.
+async function shouldWriteChange(change, outcome, mapping) {
+  if (outcome.status === 'in-sync') {
+    console.log(`⏭️  ${change.zohoField} already matches on both sides`);
+    rememberSyncedValue(change.module, change.zohoId, change.zohoField, change[change.source].comparable);
+    return false;
+  }
+  
+  if (outcome.status === 'discarded') {
+    console.log(`⏭️  Ignoring late ${change.source} change to ${change.zohoField} - it lost a conflict`);
+    return false;
+  }
+  
+  if (outcome.status !== 'conflict' || outcome.winner === change.source) {
+    return true;
+  }
+  
+  // The other side won - copy its value back over this change (manual conflicts wait)
+  if (outcome.winner) {
+    await writeConflictWinner(outcome.conflict, outcome.winner, mapping, outcome.discarded);
+  }
+  return false;
+}
+
+// Copy the winning value of a conflict to the other side
+async function writeConflictWinner(conflict, winner, mapping, discarded) {
+  const options = { force: true, discarded };
+  if (winner === 'zoho') {
+    await syncFieldFromZohoToAirtable(conflict.zohoId, conflict.zohoField, conflict.zoho.value, mapping, conflict.module, options);
+  } else {
+    await syncFieldFromAirtableToZoho(conflict.airtableRecordId, conflict.zohoField, conflict.airtable.value, mapping, conflict.module, options);
+  }
+}
+
+// Settle an open conflict by keeping one side's value ('zoho' or 'airtable').
+// Returns the resolved conflict, or null if there is no such open conflict.
+async function resolveConflict(conflictId, winner) {
+  const conflict = getConflict(conflictId);
+  if (!conflict || conflict.status !== 'open') {
+    return null;
+  }
+  
+  const mapping = await getFieldMappingFor(conflict.zohoField, conflict.module);
+  if (!mapping) {
+    throw new Error(`${conflict.zohoField} is no longer mapped for ${conflict.module}`);
+  }
+  
+  const loser = winner === 'zoho' ? 'airtable' : 'zoho';
+  await writeConflictWinner(conflict, winner, mapping, { source: loser, value: conflict[loser].comparable });
+  
+  console.log(`✅ Conflict ${conflictId} resolved - kept the ${winner === 'zoho' ? 'Zoho' : 'Airtable'} value`);
+  return markConflictResolved(conflictId, winner);
+}
+
+// Write one field to a Zoho record ({ module, zohoId }), merged with other fields of
+// the record changed in the same window. The expected echo prevents a webhook loop.
+async function updateZohoField(target, zohoField, newValue) {
+  const fieldUpdates = {};
   fieldUpdates[zohoField] = newValue;
   
-  await updateZohoLead(zohoLeadId, fieldUpdates);
+  return queueZohoUpdate(target.module, target.zohoId, fieldUpdates, { [zohoField]: toComparableValue(newValue) });
+}
+
+// Sync every changed, created and deleted record of one payload.
+// Each record is handled on its own, so one failure doesn't stop the others. A transient
+// failure (network, rate limit, 5xx) throws at the end so the payload isn't acknowledged
+// and is read again; any other failure would fail the same way on every read, so it is
+// flagged on the Airtable record (deletions: in the deletion audit) and the payload is
+// acknowledged. Records of the same kind are synced a few at a time so their writes go out
+// in shared batches. Tables that aren't paired with a Zoho module are ignored.
+async function syncAirtablePayloadChanges(changedTablesById, config, timestamp = null) {
+  const syncedTablesById = {};
+  for (const [tableId, table] of Object.entries(changedTablesById)) {
+    if (getModuleForTable(tableId, config)) {
+      syncedTablesById[tableId] = table;
+    } else if (tableId === getMappingTableId(config)) {
+      // Webhooks that watch the whole base also see edits to the Zoho Fields table
+      console.log('📋 Zoho Fields table changed - reloading field mappings');
+      clearFieldMetadata();
+    } else {
+      console.log(`⏭️  Skipping changes in table ${tableId} - not paired with a Zoho module`);
+    }
+  }
+  
+  const updates = [];
+  const creations = [];
+  const deletions = [];
+  
+  const changeSets = await processChangedTables(syncedTablesById, config);
+  for (const changeSet of changeSets) {
+    const module = getModuleForTable(changeSet.tableId, config);
+    updates.push({
+      description: `update of record ${changeSet.recordId}`,
+      recordId: changeSet.recordId,
+      module,
+      run: () => handleAirtableRecordUpdate(changeSet.recordId, changeSet.changedFields, module, timestamp)
+    });
+  }
+  
+  for (const { tableId, recordId } of getCreatedRecordIds(syncedTablesById)) {
+    const module = getModuleForTable(tableId, config);
+    creations.push({
+      description: `creation of record ${recordId}`,
+      recordId,
+      module,
+      run: () => {
+        rememberNewAirtableRecord(recordId);
+        return createZohoRecordFromAirtableRecord(recordId, module);
+      }
+    });
+  }
+  
+  for (const { tableId, recordId } of getDestroyedRecordIds(syncedTablesById)) {
+    const module = getModuleForTable(tableId, config);
+    deletions.push({
+      description: `deletion of record ${recordId}`,
+      run: () => handleAirtableRecordDeletion(recordId, module)
+    });
+  }
+  
+  // Updates go first and deletions last, as before
+  let failed = 0;
+  let retryable = 0;
+  const tasks = [...updates, ...creations, ...deletions];
+  for (const group of [updates, creations, deletions]) {
+    for (let i = 0; i < group.length; i += WRITE_BATCHING.maxRecords.airtable) {
+      const chunk = group.slice(i, i + WRITE_BATCHING.maxRecords.airtable);
+      const results = await Promise.allSettled(chunk.map(task => task.run()));
+      for (const [index, result] of results.entries()) {
+        if (result.status === 'fulfilled') {
+          continue;
+        }
+        
+        const task = chunk[index];
+        failed++;
+        console.error(`❌ Failed to sync Airtable ${task.description}:`, result.reason.message);
+        if (isTransientError(result.reason)) {
+          retryable++;
+        } else if (task.recordId) {
+          await flagSyncError(task.recordId, `Not synced to Zoho: ${result.reason.message}`, getAirtableConfigForModule(task.module), task.module)
+            .catch(error => console.error(`❌ Could not flag Airtable record ${task.recordId}:`, error.message));
+        }
+      }
+    }
+  }
+  
+  if (tasks.length > 1) {
+    console.log(`📋 Synced ${tasks.length - failed}/${tasks.length} Airtable record change(s)`);
+  }
+  if (failed > retryable) {
+    console.log(`⏭️  ${failed - retryable} change(s) would fail the same way again - not retrying them`);
+  }
+  
+  // Records that did sync are skipped on the retry by their echoes and the conflict check
+  if (retryable > 0) {
+    throw new Error(`${retryable} of ${tasks.length} Airtable record change(s) failed to sync and will be retried`);
+  }
+}
+
+// Chain of pending payload runs, so overlapping pings never read the same cursor twice
+let airtablePayloadQueue = Promise.resolve();
+
+// Process every Airtable webhook payload received since the stored cursor.
+// Called for each Airtable ping and once at startup to catch up on missed changes.
+// Resolves to the number of payloads processed, or null if Airtable could not be read
+// or a payload failed to sync (the cursor stays at that payload).
+function syncAirtablePayloads(config = null) {
+  const run = airtablePayloadQueue
+    .then(() => processAirtablePayloadsSinceCursor(config))
+    .catch(error => {
+      console.error('❌ Error processing Airtable payloads:', error.message);
+      return null;
+    });
+  airtablePayloadQueue = run;
+  return run;
+}
+
+// Run a task once the pending payload runs are done, before any new one starts - for
+// changes to the webhook whose cursor they read (e.g. replacing it)
+function runBetweenPayloadRuns(task) {
+  const run = airtablePayloadQueue.then(task);
+  airtablePayloadQueue = run.catch(() => null);
+  return run;
+}
+
+async function processAirtablePayloadsSinceCursor(config) {
+  if (!config) {
+    config = loadAirtableConfig();
+    if (!config) {
+      console.error('Failed to load Airtable config');
+      return 0;
+    }
+  }
+  
+  if (!config.webhookId) {
+    console.log('⚠️  No Airtable webhook configured - nothing to process');
+    return 0;
+  }
+  
+  // Without a stored cursor we don't know what was already handled. Skip to the
+  // end instead of replaying up to a week of history.
+  if (!config.webhookCursor) {
+    console.log('⚠️  No stored Airtable payload cursor - skipping to the latest payload');
+    let cursor = 1;
+    let page;
+    do {
+      page = await fetchWebhookPayloads(config, config.webhookId, cursor);
+      if (!page) {
+        return null;
+      }
+      cursor = page.cursor;
+    } while (page.mightHaveMore);
+    
+    config.webhookCursor = cursor;
+    saveAirtableConfig(config);
+    console.log(`📝 Airtable payload cursor initialized at ${cursor}`);
+    return 0;
+  }
+  
+  let processed = 0;
+  let page;
+  do {
+    page = await fetchWebhookPayloads(config, config.webhookId, config.webhookCursor);
+    if (!page) {
+      console.log(`⚠️  Stopped at cursor ${config.webhookCursor} after ${processed} payload(s)`);
+      return null;
+    }
+    
+    for (const payload of page.payloads) {
+      console.log(`\n=== Processing Airtable payload #${config.webhookCursor} (${payload.timestamp}) ===`);
+      
+      if (payload.changedTablesById) {
+        await syncAirtablePayloadChanges(payload.changedTablesById, config, payload.timestamp);
+      } else {
+        console.log('⚠️  No changedTablesById in payload');
+      }
+      
+      // Store the cursor after every payload so a crash never replays finished work
+      config.webhookCursor += 1;
+      saveAirtableConfig(config);
+      processed++;
+    }
+    
+    if (page.cursor && page.cursor !== config.webhookCursor) {
+      config.webhookCursor = page.cursor;
+      saveAirtableConfig(config);
+    }
+  } while (page.mightHaveMore && page.payloads.length > 0);
+  
+  console.log(`✅ Processed ${processed} Airtable payload(s), cursor now ${config.webhookCursor}`);
+  return processed;
 }
 
 module.exports = {
@@ -315,7 +1011,11 @@ module.exports = {
   syncPhoneFromAirtableToZoho,
   syncFieldFromZohoToAirtable,
   syncFieldFromAirtableToZoho,
-  createAirtableRecordFromZohoLead,
-  handleZohoLeadUpdate,
-  handleAirtableRecordUpdate
+  createAirtableRecordFromZohoRecord,
+  createZohoRecordFromAirtableRecord,
+  handleZohoRecordUpdate,
+  handleAirtableRecordUpdate,
+  resolveConflict,
+  syncAirtablePayloads,
+  runBetweenPayloadRuns
 };
\ No newline at end of file
@@ -0,0 +1,143 @@
+const { WRITE_BATCHING } = require('../config/config');
+const { recordExpectedEcho, forgetExpectedEcho } = require('../utils/syncTracker');
+const { updateAirtableRecords } = require('./airtableService');
+const { updateZohoRecords } = require('./zohoService');
+
+// Field updates waiting to be written, per target (an Airtable table or a Zoho module):
+// { system, config, module, records: Map(recordId -> { fields, echoes, waiters }), timer, lastFlush }.
+// Updates to the same record are merged; a target is flushed when its window ends or
+// when it holds as many records as one request takes.
+const targets = {};
+
+function getTarget(key, target) {
+  if (!targets[key]) {
+    targets[key] = { ...target, records: new Map(), timer: null, lastFlush: Promise.resolve() };
+  }
+  return targets[key];
+}
+
+// Add fields to a record's pending update. echoes maps each field to the value its echo
+// webhook will carry; only the final value of a field is expected back.
+function queueWrite(target, recordId, fields, echoes) {
+  let pending = target.records.get(recordId);
+  if (!pending) {
+    pending = { fields: {}, echoes: {}, waiters: [] };
+    target.records.set(recordId, pending);
+  }
+  
+  Object.assign(pending.fields, fields);
+  Object.assign(pending.echoes, echoes);
+  const written = new Promise(resolve => pending.waiters.push(resolve));
+  
+  if (target.records.size >= WRITE_BATCHING.maxRecords[target.system]) {
+    flushTarget(target);
+  } else if (!target.timer) {
+    target.timer = setTimeout(() => flushTarget(target), WRITE_BATCHING.windowMs);
+  }
+  
+  return written;
+}
+
+// Send a target's pending updates. Flushes of one target run one after another, so
+// updates to a record are applied in the order they were queued.
+function flushTarget(target) {
+  clearTimeout(target.timer);
+  target.timer = null;
+  
+  const records = [...target.records.entries()];
+  target.records = new Map();
+  if (records.length === 0) {
+    return target.lastFlush;
+  }
+  
+  target.lastFlush = target.lastFlush
+    .then(() => writeRecords(target, records))
+    .catch(error => {
+      console.error(`❌ Error writing batched ${target.system} updates:`, error.message);
+      return records.map(() => ({ success: false, message: error.message, transient: false }));
+    })
+    .then(results => {
+      records.forEach(([recordId, pending], index) => {
+        if (!results[index].success) {
+          forgetEchoes(target, recordId, pending);
+        }
+        pending.waiters.forEach(resolve => resolve(results[index]));
+      });
+    });
+  return target.lastFlush;
+}
+
+// Forget the echoes expected from a record's write that failed. Left behind, they would
+// swallow a real change back to the same value (and a retry would add another).
+function forgetEchoes(target, recordId, pending) {
+  for (const [field, value] of Object.entries(pending.echoes)) {
+    forgetExpectedEcho(target.system, recordId, field, value);
+  }
+}
+
+// Write one batch and return a result per record: { success: true, ... } or a failure
+// with its message and whether it is transient
+async function writeRecords(target, records) {
+  const fieldCount = records.reduce((count, [, pending]) => count + Object.keys(pending.fields).length, 0);
+  console.log(`📦 Writing ${fieldCount} field update(s) to ${records.length} ${target.system === 'zoho' ? `Zoho ${target.module}` : 'Airtable'} record(s) in one request`);
+  
+  // Record the expected echoes to prevent webhook loops. They're recorded before the
+  // request, as the echo can arrive before its response; failed writes forget them.
+  for (const [recordId, pending] of records) {
+    for (const [field, value] of Object.entries(pending.echoes)) {
+      recordExpectedEcho(target.system, recordId, field, value);
+    }
+  }
+  
+  if (target.system === 'zoho') {
+    const results = await updateZohoRecords(target.module, records.map(([id, pending]) => ({ id, ...pending.fields })));
+    results.forEach((result, index) => {
+      if (!result.success) {
+        console.error(`❌ Zoho ${target.module} record ${records[index][0]} not updated: ${result.code} - ${result.message}`);
+      }
+    });
+    return results;
+  }
+  
+  const updated = await updateAirtableRecords(records.map(([id, pending]) => ({ id, fields: pending.fields })), target.config);
+  if (updated.success) {
+    return records.map(([id]) => {
+      const record = updated.records.find(updatedRecord => updatedRecord.id === id);
+      return record ? { success: true, record } : { success: false, message: 'Missing from the Airtable response', transient: false };
+    });
+  }
+  
+  // One bad value fails the whole request - write the records one by one so only that record
+  // fails. A transient failure would fail them all the same way.
+  if (records.length === 1 || updated.transient) {
+    return records.map(() => updated);
+  }
+  console.log('⚠️  Batch rejected - writing the records one by one');
+  const results = [];
+  for (const [id, pending] of records) {
+    const result = await updateAirtableRecords([{ id, fields: pending.fields }], target.config);
+    results.push(result.success ? { success: true, record: result.records[0] } : result);
+  }
+  return results;
+}
+
+// Update fields of an Airtable record, merged with other updates queued in the same
+// window. Resolves to { success: true, record }, or { success: false, message, transient }
+// if the write failed.
+function queueAirtableUpdate(recordId, fields, config, echoes = {}) {
+  const target = getTarget(`airtable:${config.baseId}:${config.tableName}`, { system: 'airtable', config });
+  return queueWrite(target, recordId, fields, echoes);
+}
+
+// Update fields of a Zoho record, merged with other updates queued in the same window.
+// Resolves to the record's result: { success: true, id }, or a failure with its code,
+// message and whether it is transient.
+function queueZohoUpdate(module, zohoId, fields, echoes = {}) {
+  const target = getTarget(`zoho:${module}`, { system: 'zoho', module });
+  return queueWrite(target, zohoId, fields, echoes);
+}
+
+module.exports = {
+  queueAirtableUpdate,
+  queueZohoUpdate
+};
\ No newline at end of file
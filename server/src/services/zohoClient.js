@@ -0,0 +1,162 @@
+const { zohoHttp } = require('../utils/httpClient');
+const {
+  loadZohoConfig,
+  saveZohoConfig,
+  findZohoDataCenter,
+  getZohoUrls
+} = require('../config/config');
+
+// The one way to call the Zoho API. It owns the access token: tokens are refreshed a
+// little before they expire, only one refresh runs at a time (concurrent requests wait
+// for it), and a request rejected for an invalid token is retried once with a new one.
+// Every Zoho endpoint should go through zohoRequest.
+
+// Refresh this long before the token expires, so it can't expire while a request is in flight
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Token in use - newer than the one in zoho-config.json until the refreshed one is saved
+let currentToken = null;
+
+// Pending refresh shared by every request that needs a new token
+let refreshInFlight = null;
+
+// Token to send, taken from whichever of the config and the last refresh is newer
+function getToken(config) {
+  if (!currentToken || config.tokenExpiry > currentToken.tokenExpiry) {
+    currentToken = { accessToken: config.accessToken, tokenExpiry: config.tokenExpiry || 0 };
+  }
+  return currentToken;
+}
+
+// Store a new token (and settings learned with it) in zoho-config.json. The file is read
+// again first, so settings changed since the config was loaded aren't overwritten.
+function saveToken(config, settings) {
+  const latest = loadZohoConfig() || config;
+  return saveZohoConfig({ ...latest, ...settings });
+}
+
+async function requestNewToken(config) {
+  try {
+    console.log('🔄 Refreshing Zoho access token...');
+    const response = await zohoHttp.post(`${getZohoUrls(config).accountsUrl}/oauth/v2/token`, null, {
+      params: {
+        refresh_token: config.refreshToken,
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        grant_type: 'refresh_token'
+      }
+    });
+    
+    if (!response.data.access_token) {
+      console.error('❌ Error refreshing Zoho access token:', response.data);
+      return false;
+    }
+    
+    currentToken = {
+      accessToken: response.data.access_token,
+      tokenExpiry: Date.now() + (response.data.expires_in * 1000)
+    };
+    
+    // The token response names the org's API domain - remember its data center, so
+    // configs written before data centers were configurable stop relying on a guess
+    const settings = { ...currentToken };
+    const dataCenter = findZohoDataCenter(response.data.api_domain);
+    if (dataCenter && dataCenter !== config.dataCenter) {
+      console.log(`🌍 Zoho org is in the ${dataCenter} data center`);
+      config.dataCenter = dataCenter;
+      settings.dataCenter = dataCenter;
+    }
+    
+    // Save the new token - it stays in use even if saving fails
+    if (!saveToken(config, settings)) {
+      console.error('❌ Failed to save updated Zoho config');
+    }
+    
+    console.log('✅ Zoho access token refreshed successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Error refreshing Zoho access token:', error.response?.data || error.message);
+    return false;
+  }
+}
+
+// Refresh the access token. Callers arriving while a refresh is running wait for that
+// refresh instead of starting their own. Resolves to false if the refresh failed.
+function refreshZohoToken(config) {
+  if (!refreshInFlight) {
+    refreshInFlight = requestNewToken(config).finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  
+  return refreshInFlight.then(refreshed => {
+    if (refreshed) {
+      Object.assign(config, currentToken);
+    }
+    return refreshed;
+  });
+}
+
+// Token to use for the next request, refreshed first if it's about to expire
+async function getValidToken(config) {
+  if (refreshInFlight || Date.now() >= getToken(config).tokenExpiry - TOKEN_REFRESH_MARGIN_MS) {
+    if (!await refreshZohoToken(config)) {
+      throw Object.assign(new Error('Failed to refresh Zoho access token'), { code: 'TOKEN_REFRESH_FAILED' });
+    }
+  }
+  return getToken(config).accessToken;
+}
+
+function sendWithToken(method, url, accessToken, { params, data }) {
+  const options = {
+    headers: {
+      'Authorization': `Zoho-oauthtoken ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    params
+  };
+  
+  if (method === 'get' || method === 'delete') {
+    return zohoHttp[method](url, options);
+  }
+  return zohoHttp[method](url, data, options);
+}
+
+// Send a request to the Zoho API, e.g. zohoRequest('get', '/crm/v2/Leads/123').
+// Options: params (query string), data (request body) and config (loaded if not given).
+// Resolves to the axios response and rejects with the axios error, like axios.
+async function zohoRequest(method, path, { params, data, config = null } = {}) {
+  if (!config) {
+    config = loadZohoConfig();
+    if (!config) {
+      throw Object.assign(new Error('Failed to load Zoho config'), { code: 'NO_CONFIG' });
+    }
+  }
+  
+  const url = `${getZohoUrls(config).apiDomain}${path}`;
+  const accessToken = await getValidToken(config);
+  
+  try {
+    return await sendWithToken(method, url, accessToken, { params, data });
+  } catch (error) {
+    if (error.response?.data?.code !== 'INVALID_TOKEN') {
+      throw error;
+    }
+    
+    // Another request may have refreshed the token already
+    if (getToken(config).accessToken === accessToken) {
+      console.log('🔄 Token invalid, attempting refresh...');
+      if (!await refreshZohoToken(config)) {
+        throw error;
+      }
+    }
+    
+    // Retry the request with the new token
+    return sendWithToken(method, url, getToken(config).accessToken, { params, data });
+  }
+}
+
+module.exports = {
+  zohoRequest,
+  refreshZohoToken
+};
\ No newline at end of file
@@ -1,163 +1,198 @@
-const axios = require('axios');
-const { loadZohoConfig, saveZohoConfig, filterIgnoredFields, FIELD_MAPPING } = require('../config/config');
+const { zohoRequest } = require('./zohoClient');
+const { isTransientRequestError } = require('../utils/httpClient');
+const { filterIgnoredFields, FIELD_MAPPING } = require('../config/config');
 
-// Refresh Zoho access token
-async function refreshZohoToken(config) {
+// Fetch record details from a Zoho module (Leads, Contacts, Deals, ...)
+async function getRecordDetails(module, recordId, config = null) {
   try {
-    console.log('🔄 Refreshing Zoho access token...');
-    const response = await axios.post('https://accounts.zoho.com/oauth/v2/token', null, {
+    const response = await zohoRequest('get', `/crm/v2/${module}/${recordId}`, { config });
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching ${module} record details:`, error.response?.data || error.message);
+    return null;
+  }
+}
+
+// Fetch field metadata (api_name, data_type, pick_list_values, ...) for a Zoho module
+async function getFieldMetadata(module, config = null) {
+  try {
+    const response = await zohoRequest('get', '/crm/v2/settings/fields', { params: { module }, config });
+    return response.data.fields || [];
+  } catch (error) {
+    console.error(`Error fetching ${module} field metadata:`, error.response?.data || error.message);
+    return null;
+  }
+}
+
+// Fetch one page of records from a Zoho module
+async function getRecordsPage(module, page, config = null, perPage = 200) {
+  try {
+    const response = await zohoRequest('get', `/crm/v2/${module}`, {
       params: {
-        refresh_token: config.refreshToken,
-        client_id: config.clientId,
-        client_secret: config.clientSecret,
-        grant_type: 'refresh_token'
-      }
+        page: page,
+        per_page: perPage
+      },
+      config
     });
-    
-    config.accessToken = response.data.access_token;
-    config.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
-    
-    // Save the updated config
-    const saved = saveZohoConfig(config);
-    if (!saved) {
-      console.error('❌ Failed to save updated Zoho config');
-      return false;
-    }
-    
-    console.log('✅ Zoho access token refreshed successfully!');
-    return true;
+    // Zoho answers 204 with an empty body when there are no records
+    return response.data || { data: [], info: { more_records: false } };
   } catch (error) {
-    console.error('❌ Error refreshing Zoho access token:', error.response?.data || error.message);
-    return false;
+    console.error(`Error fetching ${module} page:`, error.response?.data || error.message);
+    return null;
   }
 }
 
-// Fetch lead details from Zoho with automatic token refresh
-async function getLeadDetails(leadId, config = null) {
-  if (!config) {
-    config = loadZohoConfig();
-    if (!config) {
-      console.error('Failed to load Zoho config');
+// Fetch every record of a Zoho module, page by page
+async function listZohoRecords(module, config = null) {
+  const records = [];
+  let page = 1;
+  let moreRecords = true;
+  
+  console.log(`📡 Fetching all Zoho ${module}...`);
+  
+  while (moreRecords) {
+    const result = await getRecordsPage(module, page, config);
+    if (!result) {
+      console.error(`❌ Failed to fetch Zoho ${module} page ${page}`);
       return null;
     }
+    
+    records.push(...(result.data || []));
+    moreRecords = Boolean(result.info && result.info.more_records);
+    page++;
   }
+  
+  console.log(`✅ Retrieved ${records.length} Zoho ${module}`);
+  return records;
+}
 
+// Update Zoho record
+async function updateZohoRecord(module, recordId, fieldUpdates, config = null) {
   try {
-    // Check if token needs refresh
-    if (Date.now() >= config.tokenExpiry) {
-      const refreshed = await refreshZohoToken(config);
-      if (!refreshed) {
-        console.error('Failed to refresh token');
-        return null;
-      }
-    }
+    const response = await zohoRequest('put', `/crm/v2/${module}/${recordId}`, {
+      data: {
+        data: [fieldUpdates]
+      },
+      config
+    });
     
-    const response = await axios.get(
-      `${config.apiDomain}/crm/v2/Leads/${leadId}`,
-      {
-        headers: {
-          'Authorization': `Zoho-oauthtoken ${config.accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    console.log(`✅ Zoho ${module} record updated successfully`);
     return response.data;
   } catch (error) {
-    // If token is invalid, try refreshing once
-    if (error.response?.data?.code === 'INVALID_TOKEN') {
-      console.log('🔄 Token invalid, attempting refresh...');
-      const refreshed = await refreshZohoToken(config);
-      if (refreshed) {
-        // Retry the request with new token
-        try {
-          const response = await axios.get(
-            `${config.apiDomain}/crm/v2/Leads/${leadId}`,
-            {
-              headers: {
-                'Authorization': `Zoho-oauthtoken ${config.accessToken}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
-          return response.data;
-        } catch (retryError) {
-          console.error('Error after token refresh:', retryError.response?.data || retryError.message);
-          return null;
-        }
-      }
-    }
-    
-    console.error('Error fetching lead details:', error.response?.data || error.message);
+    console.error(`❌ Error updating Zoho ${module} record:`, error.response?.data || error.message);
     return null;
   }
 }
 
-// Update Zoho lead with automatic token refresh
-async function updateZohoLead(leadId, fieldUpdates, config = null) {
-  if (!config) {
-    config = loadZohoConfig();
-    if (!config) {
-      console.error('Failed to load Zoho config');
-      return null;
-    }
+// Turn a Zoho insert response into { success, id } or { success: false, code, message, details }.
+// A record Zoho rejected fails the same way when sent again, so it isn't transient.
+function parseZohoInsertResult(responseData) {
+  const result = responseData && responseData.data && responseData.data[0];
+  if (!result) {
+    return { success: false, code: 'EMPTY_RESPONSE', message: 'Zoho returned no result', details: null, transient: false };
   }
+  
+  if (result.status === 'success') {
+    return { success: true, id: result.details.id };
+  }
+  
+  return {
+    success: false,
+    code: result.code,
+    message: result.message,
+    details: result.details || null,
+    transient: false
+  };
+}
+
+// Result for a request that failed as a whole, in the form of parseZohoInsertResult.
+// transient is set when trying again later may work (network, rate limit, 5xx).
+function getRequestFailure(error) {
+  return {
+    success: false,
+    code: error.response?.data?.code || error.code || 'REQUEST_FAILED',
+    message: error.response?.data?.message || error.message,
+    details: null,
+    transient: isTransientRequestError(error)
+  };
+}
 
+// Create Zoho record.
+// Resolves to { success: true, id } or { success: false, code, message, details } so
+// validation errors (e.g. a missing Last_Name) can be reported instead of dropped.
+async function createZohoRecord(module, recordData, config = null) {
   try {
-    // Check if token needs refresh
-    if (Date.now() >= config.tokenExpiry) {
-      const refreshed = await refreshZohoToken(config);
-      if (!refreshed) {
-        console.error('Failed to refresh token');
-        return null;
-      }
+    const response = await zohoRequest('post', `/crm/v2/${module}`, {
+      data: {
+        data: [recordData]
+      },
+      config
+    });
+    
+    const result = parseZohoInsertResult(response.data);
+    if (result.success) {
+      console.log(`✅ Zoho ${module} record created successfully: ${result.id}`);
+    }
+    return result;
+  } catch (error) {
+    // Validation errors come back as a 4xx with the per-record error in the body
+    if (error.response?.data?.data) {
+      return parseZohoInsertResult(error.response.data);
     }
     
-    const response = await axios.put(
-      `${config.apiDomain}/crm/v2/Leads/${leadId}`,
-      {
-        data: [fieldUpdates]
+    console.error(`❌ Error creating Zoho ${module} record:`, error.response?.data || error.message);
+    return getRequestFailure(error);
+  }
+}
+
+// Turn a Zoho bulk response into one { success, id } or { success: false, code, message, details }
+// per record, in the order the records were sent
+function parseZohoBulkResults(responseData, count) {
+  const results = (responseData && responseData.data) || [];
+  return Array.from({ length: count }, (_, index) => parseZohoInsertResult({ data: [results[index]] }));
+}
+
+// Update up to 100 Zoho records of a module in one request.
+// Each record is { id, ...fields }. Resolves to one result per record (see parseZohoBulkResults).
+async function updateZohoRecords(module, records, config = null) {
+  try {
+    const response = await zohoRequest('put', `/crm/v2/${module}`, {
+      data: {
+        data: records
       },
-      {
-        headers: {
-          'Authorization': `Zoho-oauthtoken ${config.accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+      config
+    });
     
-    console.log('✅ Zoho lead updated successfully');
-    return response.data;
+    const results = parseZohoBulkResults(response.data, records.length);
+    console.log(`✅ Updated ${results.filter(result => result.success).length}/${records.length} Zoho ${module} record(s)`);
+    return results;
   } catch (error) {
-    // If token is invalid, try refreshing once
-    if (error.response?.data?.code === 'INVALID_TOKEN') {
-      console.log('🔄 Token invalid, attempting refresh...');
-      const refreshed = await refreshZohoToken(config);
-      if (refreshed) {
-        // Retry the request with new token
-        try {
-          const response = await axios.put(
-            `${config.apiDomain}/crm/v2/Leads/${leadId}`,
-            {
-              data: [fieldUpdates]
-            },
-            {
-              headers: {
-                'Authorization': `Zoho-oauthtoken ${config.accessToken}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
-          console.log('✅ Zoho lead updated successfully');
-          return response.data;
-        } catch (retryError) {
-          console.error('Error after token refresh:', retryError.response?.data || retryError.message);
-          return null;
-        }
-      }
+    // When every record fails validation, the per-record errors come back as a 4xx
+    if (error.response?.data?.data) {
+      return parseZohoBulkResults(error.response.data, records.length);
     }
     
-    console.error('❌ Error updating Zoho lead:', error.response?.data || error.message);
-    return null;
+    console.error(`❌ Error updating Zoho ${module} records:`, error.response?.data || error.message);
+    return records.map(() => getRequestFailure(error));
+  }
+}
+
+// Delete Zoho record. Resolves to a result like createZohoRecord's.
+async function deleteZohoRecord(module, recordId, config = null) {
+  try {
+    const response = await zohoRequest('delete', `/crm/v2/${module}/${recordId}`, { config });
+    
+    const result = parseZohoInsertResult(response.data);
+    if (result.success) {
+      console.log(`✅ Zoho ${module} record deleted successfully`);
+    }
+    return result;
+  } catch (error) {
+    console.error(`❌ Error deleting Zoho ${module} record:`, error.response?.data || error.message);
+    if (error.response?.data?.data) {
+      return parseZohoInsertResult(error.response.data);
+    }
+    return getRequestFailure(error);
   }
 }
 
@@ -221,9 +256,14 @@ function logLeadDetails(lead) {
 }
 
 module.exports = {
-  refreshZohoToken,
-  getLeadDetails,
-  updateZohoLead,
+  getRecordDetails,
+  getFieldMetadata,
+  getRecordsPage,
+  listZohoRecords,
+  updateZohoRecord,
+  updateZohoRecords,
+  createZohoRecord,
+  deleteZohoRecord,
   getChangedFields,
   logLeadDetails
 };
\ No newline at end of file
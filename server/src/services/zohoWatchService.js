@@ -0,0 +1,193 @@
+const { ZOHO_WATCH, DEFAULT_MODULE, loadZohoConfig, saveZohoConfig } = require('../config/config');
+const { zohoRequest } = require('./zohoClient');
+
+// Keeps the Zoho notification channel ("watch") that sends record changes to /leads-notif
+// alive. Zoho drops a channel when it expires, and Zoho → Airtable sync silently stops,
+// so the channel is checked at startup and periodically: it's created if missing,
+// updated if it points at another URL or misses events, and renewed before it expires.
+
+// Last known state of the channel, reported on /health
+let channelState = {
+  status: 'unknown', // active, expired, unconfigured or error (unknown until checked)
+  channelId: null,
+  notifyUrl: null,
+  events: [],
+  expiresAt: null,
+  lastCheckedAt: null,
+  lastRenewedAt: null,
+  lastError: null
+};
+
+let checkInFlight = null;
+let checkTimer = null;
+
+// Zoho wants times like 2026-01-01T10:00:00+00:00 (no milliseconds)
+function formatZohoTime(time) {
+  return new Date(time).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+// Events the channel must send: create, edit and delete of every configured module
+function getExpectedEvents(config) {
+  const modules = config.modules && config.modules.length > 0 ? config.modules : [DEFAULT_MODULE];
+  return modules.flatMap(module => [`${module}.create`, `${module}.edit`, `${module}.delete`]);
+}
+
+// Our channel as Zoho currently has it ({ channelId, notifyUrl, events, expiresAt }), or
+// null if Zoho doesn't know it. Zoho lists a channel once per module it watches.
+async function fetchChannel(config) {
+  const response = await zohoRequest('get', '/crm/v2/actions/watch', { config });
+  const entries = ((response.data && response.data.watch) || [])
+    .filter(entry => String(entry.channel_id) === String(config.channelId));
+  
+  if (entries.length === 0) {
+    return null;
+  }
+  
+  const expiries = entries.map(entry => Date.parse(entry.channel_expiry)).filter(time => !Number.isNaN(time));
+  return {
+    channelId: String(entries[0].channel_id),
+    notifyUrl: entries[0].notify_url || null,
+    events: entries.flatMap(entry => entry.events || []).filter(event => typeof event === 'string'),
+    expiresAt: expiries.length > 0 ? Math.min(...expiries) : null
+  };
+}
+
+// Why a channel has to be updated, as a list of messages (empty if it's fine)
+function getChannelProblems(channel, config) {
+  const problems = [];
+  
+  if (channel.notifyUrl && channel.notifyUrl !== config.webhookUrl) {
+    problems.push(`it points at ${channel.notifyUrl} instead of ${config.webhookUrl}`);
+  }
+  
+  const missingEvents = getExpectedEvents(config).filter(event => !channel.events.includes(event));
+  if (channel.events.length > 0 && missingEvents.length > 0) {
+    problems.push(`it doesn't send ${missingEvents.join(', ')}`);
+  }
+  
+  return problems;
+}
+
+// Create ('post') or update ('patch') the channel with our URL, events and a new expiry.
+// Resolves to the expiry Zoho accepted.
+async function writeChannel(method, config, channelId) {
+  const requestedExpiry = Date.now() + ZOHO_WATCH.channelTtlMs;
+  const response = await zohoRequest(method, '/crm/v2/actions/watch', {
+    data: {
+      watch: [
+        {
+          channel_id: channelId,
+          events: getExpectedEvents(config),
+          channel_expiry: formatZohoTime(requestedExpiry),
+          notify_url: config.webhookUrl,
+          token: config.webhookToken
+        }
+      ]
+    },
+    config
+  });
+  
+  const result = response.data && response.data.watch && response.data.watch[0];
+  if (!result || result.status !== 'success') {
+    throw new Error(result ? `${result.code} - ${result.message}` : 'Zoho returned no result');
+  }
+  
+  const events = (result.details && result.details.events) || [];
+  const expiry = events.length > 0 ? Date.parse(events[0].channel_expiry) : NaN;
+  return Number.isNaN(expiry) ? requestedExpiry : expiry;
+}
+
+// Store the channel's ID and expiry in zoho-config.json (read again first, so a token
+// refreshed in the meantime isn't overwritten)
+function saveChannel(config, channelId, expiresAt) {
+  const latest = loadZohoConfig() || config;
+  saveZohoConfig({ ...latest, channelId, channelExpiry: new Date(expiresAt).toISOString() });
+  config.channelId = channelId;
+}
+
+async function checkChannel() {
+  const config = loadZohoConfig();
+  if (!config) {
+    throw new Error('Failed to load Zoho config');
+  }
+  
+  if (!config.webhookUrl || !config.webhookToken) {
+    channelState = { ...channelState, status: 'unconfigured', lastCheckedAt: new Date().toISOString(), lastError: null };
+    console.log('⚠️  No Zoho webhook URL or token configured - rerun "node zoho-setup.js webhook" to receive Zoho changes');
+    return;
+  }
+  
+  const channel = await fetchChannel(config);
+  let expiresAt = channel ? channel.expiresAt : null;
+  
+  if (!channel) {
+    // Zoho wants a numeric channel ID
+    const channelId = /^\d+$/.test(String(config.channelId)) ? String(config.channelId) : String(Date.now());
+    console.log(`📡 Zoho notification channel ${config.channelId} not found - creating channel ${channelId}`);
+    expiresAt = await writeChannel('post', config, channelId);
+    saveChannel(config, channelId, expiresAt);
+    channelState.lastRenewedAt = new Date().toISOString();
+  } else {
+    const problems = getChannelProblems(channel, config);
+    const expiresSoon = !expiresAt || expiresAt - Date.now() < ZOHO_WATCH.renewBeforeMs;
+    
+    if (problems.length > 0 || expiresSoon) {
+      const reason = problems.length > 0 ? problems.join('; ') : `it expires ${expiresAt ? new Date(expiresAt).toISOString() : 'at an unknown time'}`;
+      console.log(`🔄 Updating Zoho notification channel ${channel.channelId} - ${reason}`);
+      expiresAt = await writeChannel('patch', config, channel.channelId);
+      saveChannel(config, channel.channelId, expiresAt);
+      channelState.lastRenewedAt = new Date().toISOString();
+    }
+  }
+  
+  channelState = {
+    ...channelState,
+    status: 'active',
+    channelId: String(config.channelId),
+    notifyUrl: config.webhookUrl,
+    events: getExpectedEvents(config),
+    expiresAt: new Date(expiresAt).toISOString(),
+    lastCheckedAt: new Date().toISOString(),
+    lastError: null
+  };
+  console.log(`✅ Zoho notification channel ${channelState.channelId} is active until ${channelState.expiresAt}`);
+}
+
+// Check the channel and create, update or renew it as needed. Runs one check at a time;
+// resolves to the channel state.
+function ensureWatchChannel() {
+  if (!checkInFlight) {
+    checkInFlight = checkChannel()
+      .catch(error => {
+        const message = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+        console.error('❌ Error checking Zoho notification channel:', message);
+        channelState = { ...channelState, status: 'error', lastCheckedAt: new Date().toISOString(), lastError: message };
+      })
+      .finally(() => {
+        checkInFlight = null;
+      });
+  }
+  return checkInFlight.then(() => getWatchChannelState());
+}
+
+// Check the channel now and then every ZOHO_WATCH.checkIntervalMs
+function startWatchChannelUpkeep() {
+  if (checkTimer) {
+    return;
+  }
+  
+  ensureWatchChannel();
+  checkTimer = setInterval(ensureWatchChannel, ZOHO_WATCH.checkIntervalMs);
+}
+
+// State of the channel for monitoring; "expiresAt" in the past means Zoho stopped sending
+function getWatchChannelState() {
+  const expired = channelState.expiresAt && Date.parse(channelState.expiresAt) <= Date.now();
+  return { ...channelState, status: expired ? 'expired' : channelState.status };
+}
+
+module.exports = {
+  ensureWatchChannel,
+  startWatchChannelUpkeep,
+  getWatchChannelState
+};
\ No newline at end of file
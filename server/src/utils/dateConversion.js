@@ -0,0 +1,149 @@
+const { ORG_TIME_ZONE } = require('../config/config');
+
+// Date helpers for moving values between Zoho ("2024-05-01", "2024-05-01T10:00:00+05:30")
+// and Airtable ("2024-05-01", "2024-05-01T04:30:00.000Z") in a given IANA time zone.
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+// Time zones we already warned about
+const invalidTimeZones = new Set();
+
+// Use the time zone if Intl knows it, otherwise fall back to the org time zone (or UTC)
+function resolveTimeZone(timeZone) {
+  for (const candidate of [timeZone, ORG_TIME_ZONE]) {
+    if (!candidate) {
+      continue;
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: candidate });
+      return candidate;
+    } catch (error) {
+      if (!invalidTimeZones.has(candidate)) {
+        invalidTimeZones.add(candidate);
+        console.warn(`⚠️  Unknown time zone "${candidate}" - ignoring it`);
+      }
+    }
+  }
+  return 'UTC';
+}
+
+// Calendar date and wall-clock time of an instant in a time zone
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  
+  const zoned = {};
+  for (const part of parts) {
+    if (part.type !== 'literal') {
+      zoned[part.type] = part.value;
+    }
+  }
+  return zoned;
+}
+
+// Offset of a time zone from UTC at a given instant, in minutes
+function getTimeZoneOffset(date, timeZone) {
+  const zoned = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - wholeSeconds) / 60000);
+}
+
+function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  const minutes = String(absolute % 60).padStart(2, '0');
+  return `${sign}${hours}:${minutes}`;
+}
+
+// Instant of midnight at the start of a calendar date in a time zone
+function startOfDay(dateOnly, timeZone) {
+  const [year, month, day] = dateOnly.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day);
+  
+  // Correct by the zone's offset, then once more in case that crossed a DST change
+  let instant = guess - getTimeZoneOffset(new Date(guess), timeZone) * 60000;
+  instant = guess - getTimeZoneOffset(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+}
+
+// Parse a date or datetime string into an instant. Date-only values mean midnight in the time zone.
+function parseInstant(value, timeZone) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  if (DATE_ONLY.test(value)) {
+    return startOfDay(value, timeZone);
+  }
+  if (DATE_TIME.test(value)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+// "YYYY-MM-DD" for a date or datetime, as seen in the time zone
+function toDateOnly(value, timeZone = ORG_TIME_ZONE) {
+  if (typeof value === 'string' && DATE_ONLY.test(value)) {
+    return value;
+  }
+  
+  const zone = resolveTimeZone(timeZone);
+  const date = parseInstant(value, zone);
+  if (!date) {
+    return null;
+  }
+  
+  const zoned = getZonedParts(date, zone);
+  return `${zoned.year}-${zoned.month}-${zoned.day}`;
+}
+
+// UTC ISO string (Airtable dateTime) for a date or datetime
+function toUtcIso(value, timeZone = ORG_TIME_ZONE) {
+  const date = parseInstant(value, resolveTimeZone(timeZone));
+  return date ? date.toISOString() : null;
+}
+
+// "YYYY-MM-DDTHH:mm:ss+hh:mm" (Zoho datetime) for a date or datetime, in the time zone
+function toOffsetDateTime(value, timeZone = ORG_TIME_ZONE) {
+  const zone = resolveTimeZone(timeZone);
+  const date = parseInstant(value, zone);
+  if (!date) {
+    return null;
+  }
+  
+  const zoned = getZonedParts(date, zone);
+  const offset = formatOffset(getTimeZoneOffset(date, zone));
+  return `${zoned.year}-${zoned.month}-${zoned.day}T${zoned.hour}:${zoned.minute}:${zoned.second}${offset}`;
+}
+
+// Datetime strings in any offset, reduced to the same UTC form so they can be compared
+function normalizeDateTime(value) {
+  if (typeof value !== 'string' || !DATE_TIME.test(value)) {
+    return value;
+  }
+  
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return value;
+  }
+  date.setUTCMilliseconds(0);
+  return date.toISOString();
+}
+
+module.exports = {
+  toDateOnly,
+  toUtcIso,
+  toOffsetDateTime,
+  normalizeDateTime
+};
\ No newline at end of file
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../config/config');
+
+// Storage backends for expected sync echoes. Every store keeps, per key, how many
+// echoes are still expected and when the newest one expires.
+
+// In-memory store (lost on restart - useful for development)
+function createMemoryStore() {
+  const entries = new Map();
+  
+  return {
+    increment(key, expiresAt) {
+      const entry = entries.get(key) || { count: 0, expiresAt: 0 };
+      entry.count++;
+      entry.expiresAt = Math.max(entry.expiresAt, expiresAt);
+      entries.set(key, entry);
+    },
+    
+    decrement(key, now) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= now) {
+        return false;
+      }
+      
+      entry.count--;
+      if (entry.count <= 0) {
+        entries.delete(key);
+      }
+      return true;
+    },
+    
+    removeByPrefix(prefix) {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+        }
+      }
+    },
+    
+    purgeExpired(now) {
+      for (const [key, entry] of entries.entries()) {
+        if (entry.expiresAt <= now) {
+          entries.delete(key);
+        }
+      }
+    },
+    
+    list() {
+      return Array.from(entries.entries()).map(([key, entry]) => ({ key, ...entry }));
+    }
+  };
+}
+
+// JSON file store - the memory store, written through to disk on every change
+function createFileStore(filePath = path.join(DATA_DIR, 'sync-echoes.json')) {
+  const memory = createMemoryStore();
+  
+  try {
+    if (fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const { key, count, expiresAt } of saved) {
+        for (let i = 0; i < count; i++) {
+          memory.increment(key, expiresAt);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error loading sync echo store:', error.message);
+  }
+  
+  function persist() {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(memory.list(), null, 2));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      console.error('Error saving sync echo store:', error.message);
+    }
+  }
+  
+  return {
+    increment(key, expiresAt) {
+      memory.increment(key, expiresAt);
+      persist();
+    },
+    
+    decrement(key, now) {
+      const consumed = memory.decrement(key, now);
+      if (consumed) {
+        persist();
+      }
+      return consumed;
+    },
+    
+    removeByPrefix(prefix) {
+      memory.removeByPrefix(prefix);
+      persist();
+    },
+    
+    purgeExpired(now) {
+      const before = memory.list().length;
+      memory.purgeExpired(now);
+      if (memory.list().length !== before) {
+        persist();
+      }
+    },
+    
+    list: memory.list
+  };
+}
+
+// SQLite store using Node's built-in node:sqlite module (Node 22.5+)
+function createSqliteStore(filePath = path.join(DATA_DIR, 'sync-echoes.sqlite')) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch (error) {
+    throw new Error(`SQLite echo store needs Node 22.5 or newer (running ${process.version})`);
+  }
+  
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new DatabaseSync(filePath);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sync_echoes (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+  
+  const upsert = db.prepare(`
+    INSERT INTO sync_echoes (key, count, expires_at) VALUES (?, 1, ?)
+    ON CONFLICT(key) DO UPDATE SET count = count + 1, expires_at = MAX(expires_at, excluded.expires_at)
+  `);
+  const consume = db.prepare('UPDATE sync_echoes SET count = count - 1 WHERE key = ? AND expires_at > ? AND count > 0');
+  const removeEmpty = db.prepare('DELETE FROM sync_echoes WHERE count <= 0');
+  const removePrefix = db.prepare('DELETE FROM sync_echoes WHERE substr(key, 1, length(?)) = ?');
+  const removeExpired = db.prepare('DELETE FROM sync_echoes WHERE expires_at <= ?');
+  const selectAll = db.prepare('SELECT key, count, expires_at AS expiresAt FROM sync_echoes');
+  
+  return {
+    increment(key, expiresAt) {
+      upsert.run(key, expiresAt);
+    },
+    
+    decrement(key, now) {
+      const result = consume.run(key, now);
+      removeEmpty.run();
+      return result.changes > 0;
+    },
+    
+    removeByPrefix(prefix) {
+      removePrefix.run(prefix, prefix);
+    },
+    
+    purgeExpired(now) {
+      removeExpired.run(now);
+    },
+    
+    list() {
+      return selectAll.all().map(row => ({ ...row }));
+    }
+  };
+}
+
+// Create the store configured by name: memory, file or sqlite
+function createEchoStore(type) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore();
+    case 'sqlite':
+      return createSqliteStore();
+    default:
+      throw new Error(`Unknown sync echo store "${type}" (expected memory, file or sqlite)`);
+  }
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createSqliteStore,
+  createEchoStore
+};
\ No newline at end of file
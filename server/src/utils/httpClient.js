@@ -0,0 +1,254 @@
+const axios = require('axios');
+const { HTTP_SETTINGS } = require('../config/config');
+
+// Clients for outgoing API calls, with the same get/post/put/patch/delete signatures as
+// axios. Requests are throttled to each API's limits, and requests that were rate
+// limited, failed on the server (5xx) or were dropped by the network are retried with
+// jittered exponential backoff. Stats are kept per API for monitoring.
+
+// Zoho reports exhausted limits and API credits with these codes in the response body
+const ZOHO_RATE_LIMIT_CODES = ['TOO_MANY_REQUESTS', 'LIMIT_EXCEEDED', 'API_LIMIT_EXCEEDED'];
+
+// Network errors that are worth retrying (a wrong host name is not)
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Path of a request URL, for logs
+function describeUrl(url) {
+  try {
+    return new URL(url).pathname;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Delay from a Retry-After header (seconds or an HTTP date), or null without one
+function getRetryAfterMs(response) {
+  const header = response && response.headers && response.headers['retry-after'];
+  if (!header) {
+    return null;
+  }
+  
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter: a random delay between half and all of base * 2^(attempt-1)
+function getBackoffDelay(attempt) {
+  const delay = Math.min(HTTP_SETTINGS.retryBaseDelayMs * Math.pow(2, attempt - 1), HTTP_SETTINGS.maxRetryDelayMs);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Throttling state per throttle key (an Airtable base, the Zoho org)
+function getLimiter(client, url) {
+  const key = client.getThrottleKey(url);
+  if (!client.limiters[key]) {
+    client.limiters[key] = { active: 0, waiting: [], nextSlotAt: 0, pausedUntil: 0 };
+  }
+  return client.limiters[key];
+}
+
+// Wait for a free request slot (when the API limits concurrent requests)
+function acquireSlot(limiter, maxConcurrent) {
+  if (!maxConcurrent || limiter.active < maxConcurrent) {
+    limiter.active++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => limiter.waiting.push(resolve));
+}
+
+// Hand the slot to the next waiting request, or free it
+function releaseSlot(limiter) {
+  const next = limiter.waiting.shift();
+  if (next) {
+    next();
+  } else {
+    limiter.active--;
+  }
+}
+
+// Wait until the request may start: after a pause for a rate limit, and spaced out to
+// stay under the API's requests per second
+async function waitForTurn(limiter, limits) {
+  const now = Date.now();
+  const start = Math.max(now, limiter.nextSlotAt, limiter.pausedUntil);
+  limiter.nextSlotAt = start + (limits.requestsPerSecond ? 1000 / limits.requestsPerSecond : 0);
+  
+  if (start > now) {
+    await sleep(start - now);
+  }
+}
+
+// Send a request once, within the API's limits
+async function sendOnce(client, limiter, method, args) {
+  client.stats.waiting++;
+  await acquireSlot(limiter, client.limits.maxConcurrent);
+  await waitForTurn(limiter, client.limits);
+  client.stats.waiting--;
+  
+  client.stats.inFlight++;
+  try {
+    return await axios[method](...args);
+  } finally {
+    client.stats.inFlight--;
+    releaseSlot(limiter);
+  }
+}
+
+// How long to wait before retrying a failed request, or null if it shouldn't be retried.
+// Rate-limited requests were never carried out, so they're always safe to retry; other
+// failures of a POST may have created something already, so POSTs aren't retried for them.
+function getRetryDelay(client, method, error, attempt, limiter) {
+  if (attempt > HTTP_SETTINGS.maxRetries) {
+    return null;
+  }
+  
+  if (client.isRateLimited(error)) {
+    client.stats.rateLimited++;
+    client.stats.lastRateLimitAt = new Date().toISOString();
+    
+    const delay = getRetryAfterMs(error.response) ?? Math.max(getBackoffDelay(attempt), client.limits.rateLimitDelayMs || 0);
+    if (delay > HTTP_SETTINGS.maxRetryDelayMs) {
+      console.error(`❌ ${client.name} rate limit resets in ${Math.round(delay / 1000)}s - not retrying`);
+      return null;
+    }
+    
+    // Every request to this API would be rejected until then
+    limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + delay);
+    return delay;
+  }
+  
+  if (method === 'post') {
+    return null;
+  }
+  
+  const status = error.response && error.response.status;
+  if (status >= 500 || (!error.response && RETRYABLE_NETWORK_ERRORS.includes(error.code))) {
+    return getBackoffDelay(attempt);
+  }
+  return null;
+}
+
+// Send a request, retrying it while it fails in a retryable way. Rejects with the last
+// axios error, like axios does.
+async function sendRequest(client, method, args) {
+  const limiter = getLimiter(client, args[0]);
+  client.stats.requests++;
+  
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await sendOnce(client, limiter, method, args);
+    } catch (error) {
+      const delay = getRetryDelay(client, method, error, attempt, limiter);
+      if (delay === null) {
+        client.stats.failed++;
+        client.stats.lastError = {
+          at: new Date().toISOString(),
+          request: `${method.toUpperCase()} ${describeUrl(args[0])}`,
+          status: error.response ? error.response.status : null,
+          message: error.message
+        };
+        throw error;
+      }
+      
+      client.stats.retries++;
+      const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+      console.log(`⏳ ${client.name} ${method.toUpperCase()} ${describeUrl(args[0])} failed (${reason}) - retry ${attempt}/${HTTP_SETTINGS.maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Create a client for one API. options: limits ({ requestsPerSecond, maxConcurrent,
+// rateLimitDelayMs }), getThrottleKey(url) and isRateLimited(error).
+function createHttpClient(name, options) {
+  const client = {
+    name,
+    ...options,
+    limiters: {},
+    stats: {
+      requests: 0,
+      retries: 0,
+      rateLimited: 0,
+      failed: 0,
+      waiting: 0,
+      inFlight: 0,
+      lastRateLimitAt: null,
+      lastError: null
+    }
+  };
+  
+  return {
+    get: (...args) => sendRequest(client, 'get', args),
+    post: (...args) => sendRequest(client, 'post', args),
+    put: (...args) => sendRequest(client, 'put', args),
+    patch: (...args) => sendRequest(client, 'patch', args),
+    delete: (...args) => sendRequest(client, 'delete', args),
+    
+    // Counters since startup, plus when the API is paused until after a rate limit
+    getStats() {
+      const pausedUntil = Math.max(0, ...Object.values(client.limiters).map(limiter => limiter.pausedUntil));
+      return {
+        ...client.stats,
+        pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null
+      };
+    }
+  };
+}
+
+// Airtable allows 5 requests per second per base, and answers 429 when that's exceeded
+const airtableHttp = createHttpClient('Airtable', {
+  limits: HTTP_SETTINGS.airtable,
+  getThrottleKey: url => {
+    const baseId = url.match(/\b(app[A-Za-z0-9]{14})\b/);
+    return baseId ? baseId[1] : 'default';
+  },
+  isRateLimited: error => Boolean(error.response && error.response.status === 429)
+});
+
+// Zoho limits concurrent requests and daily API credits for the whole org
+const zohoHttp = createHttpClient('Zoho', {
+  limits: HTTP_SETTINGS.zoho,
+  getThrottleKey: () => 'org',
+  isRateLimited: error => {
+    if (!error.response) {
+      return false;
+    }
+    const data = error.response.data || {};
+    return error.response.status === 429 || ZOHO_RATE_LIMIT_CODES.includes(data.code);
+  }
+});
+
+// Whether a failed request may succeed later without any change: it got no response,
+// was rate limited or failed on the server (5xx). Other failures (e.g. a value the API
+// rejects) fail the same way every time.
+function isTransientRequestError(error) {
+  if (!error.response) {
+    return true;
+  }
+  const status = error.response.status;
+  const code = error.response.data && error.response.data.code;
+  return status === 429 || status >= 500 || ZOHO_RATE_LIMIT_CODES.includes(code);
+}
+
+// Request stats of every API client (useful for monitoring)
+function getHttpStats() {
+  return {
+    airtable: airtableHttp.getStats(),
+    zoho: zohoHttp.getStats()
+  };
+}
+
+module.exports = {
+  airtableHttp,
+  zohoHttp,
+  isTransientRequestError,
+  getHttpStats
+};
\ No newline at end of file
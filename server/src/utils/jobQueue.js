@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, QUEUE_SETTINGS } = require('../config/config');
+
+// File-backed job queue so webhook work survives slow APIs and restarts
+const QUEUE_PATH = path.join(DATA_DIR, 'job-queue.json');
+
+const jobHandlers = {};
+const jobOptions = {};
+let jobs = [];
+let activeJobs = 0;
+let pollTimer = null;
+
+// Load persisted jobs from disk
+function loadQueue() {
+  try {
+    if (fs.existsSync(QUEUE_PATH)) {
+      return JSON.parse(fs.readFileSync(QUEUE_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error loading job queue:', error.message);
+  }
+  return [];
+}
+
+// Write jobs to disk atomically (temp file + rename)
+function saveQueue() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpPath = `${QUEUE_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(jobs, null, 2));
+    fs.renameSync(tmpPath, QUEUE_PATH);
+    return true;
+  } catch (error) {
+    console.error('Error saving job queue:', error.message);
+    return false;
+  }
+}
+
+// Register the function that processes jobs of a given type. Options:
+//   coalesce - a job that is still pending covers new ones of the type (e.g. jobs that
+//              read everything since a stored cursor), so no second one is queued
+function registerJobHandler(type, handler, options = {}) {
+  jobHandlers[type] = handler;
+  jobOptions[type] = options;
+}
+
+// Drop the oldest failed jobs beyond QUEUE_SETTINGS.maxFailedJobs, so the queue file
+// doesn't grow without limit. Returns whether any were dropped.
+function pruneFailedJobs() {
+  const failed = jobs.filter(j => j.status === 'failed');
+  const excess = failed.length - QUEUE_SETTINGS.maxFailedJobs;
+  if (excess <= 0) {
+    return false;
+  }
+  
+  const dropped = new Set(failed.slice(0, excess).map(j => j.id));
+  jobs = jobs.filter(j => !dropped.has(j.id));
+  console.log(`🧹 Dropped ${excess} old failed job(s) from the queue`);
+  return true;
+}
+
+// Add a job to the queue and persist it before returning. Returns null if the job
+// couldn't be saved - it isn't queued then, so the caller can have the sender retry.
+function enqueueJob(type, payload) {
+  if (jobOptions[type] && jobOptions[type].coalesce) {
+    const pendingJob = jobs.find(j => j.type === type && j.status === 'pending');
+    if (pendingJob) {
+      console.log(`📥 ${type} job ${pendingJob.id} is already queued - not queuing another`);
+      return pendingJob;
+    }
+  }
+  
+  const queued = enqueueJobs(type, [payload]);
+  return queued ? queued[0] : null;
+}
+
+// Add one job per payload, all or nothing: returns the jobs, or null if they couldn't
+// be saved - then none of them is queued, so the sender can retry the whole batch
+// without any of it being processed twice. Doesn't coalesce.
+function enqueueJobs(type, payloads) {
+  if (payloads.length === 0) {
+    return [];
+  }
+  
+  const newJobs = payloads.map(payload => ({
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    nextRunAt: Date.now(),
+    createdAt: new Date().toISOString(),
+    lastError: null
+  }));
+  
+  jobs.push(...newJobs);
+  if (!saveQueue()) {
+    const unsaved = new Set(newJobs.map(job => job.id));
+    jobs = jobs.filter(j => !unsaved.has(j.id));
+    console.error(`❌ Could not queue ${newJobs.length} ${type} job(s) - they were not saved`);
+    return null;
+  }
+  for (const job of newJobs) {
+    console.log(`📥 Queued ${type} job ${job.id}`);
+  }
+  
+  setImmediate(pumpQueue);
+  return newJobs;
+}
+
+// Retry delay with exponential backoff: base, 2x base, 4x base, ...
+function getRetryDelay(attempts) {
+  return QUEUE_SETTINGS.retryBaseDelayMs * Math.pow(2, attempts - 1);
+}
+
+// Run a single job and record the outcome
+async function runJob(job) {
+  const handler = jobHandlers[job.type];
+  
+  job.status = 'running';
+  job.attempts++;
+  saveQueue();
+  
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+    
+    await handler(job.payload);
+    
+    jobs = jobs.filter(j => j.id !== job.id);
+    console.log(`✅ Job ${job.id} (${job.type}) completed`);
+  } catch (error) {
+    job.lastError = error.message;
+    
+    if (job.attempts >= QUEUE_SETTINGS.maxAttempts) {
+      job.status = 'failed';
+      console.error(`❌ Job ${job.id} (${job.type}) failed permanently after ${job.attempts} attempt(s): ${error.message}`);
+      pruneFailedJobs();
+    } else {
+      const delay = getRetryDelay(job.attempts);
+      job.status = 'pending';
+      job.nextRunAt = Date.now() + delay;
+      console.error(`⚠️  Job ${job.id} (${job.type}) failed (attempt ${job.attempts}), retrying in ${delay}ms: ${error.message}`);
+    }
+  }
+  
+  saveQueue();
+}
+
+// Start due jobs until the concurrency limit is reached
+function pumpQueue() {
+  const now = Date.now();
+  
+  while (activeJobs < QUEUE_SETTINGS.concurrency) {
+    const job = jobs.find(j => j.status === 'pending' && j.nextRunAt <= now);
+    if (!job) {
+      break;
+    }
+    
+    activeJobs++;
+    runJob(job).finally(() => {
+      activeJobs--;
+      pumpQueue();
+    });
+  }
+}
+
+// Load the queue, requeue jobs interrupted by a restart and start the workers
+function startQueue() {
+  jobs = loadQueue();
+  
+  let resumed = 0;
+  for (const job of jobs) {
+    if (job.status === 'running') {
+      job.status = 'pending';
+      job.nextRunAt = Date.now();
+      resumed++;
+    }
+  }
+  
+  if (pruneFailedJobs() || resumed > 0) {
+    saveQueue();
+  }
+  
+  const pending = jobs.filter(j => j.status === 'pending').length;
+  console.log(`📋 Job queue started (${pending} pending, ${resumed} resumed after restart, concurrency ${QUEUE_SETTINGS.concurrency})`);
+  
+  pollTimer = setInterval(pumpQueue, QUEUE_SETTINGS.pollIntervalMs);
+  pumpQueue();
+}
+
+// Stop picking up new jobs (running jobs finish on their own)
+function stopQueue() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+// A queued job's state, or null once it completed (completed jobs leave the queue)
+function getJob(jobId) {
+  const job = jobs.find(j => j.id === jobId);
+  if (!job) {
+    return null;
+  }
+  
+  const { id, type, status, attempts, createdAt, lastError } = job;
+  return { id, type, status, attempts, createdAt, lastError };
+}
+
+// Get queue counts (useful for monitoring)
+function getQueueStats() {
+  return {
+    pending: jobs.filter(j => j.status === 'pending').length,
+    running: activeJobs,
+    failed: jobs.filter(j => j.status === 'failed').length
+  };
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  enqueueJobs,
+  startQueue,
+  stopQueue,
+  getJob,
+  getQueueStats
+};
\ No newline at end of file
@@ -0,0 +1,92 @@
+const { PHONE_SETTINGS } = require('../config/config');
+
+// Calling code, valid national number lengths and trunk prefix per country. Numbers
+// from countries not listed here are accepted when written with a "+" country code.
+const COUNTRIES = {
+  US: { code: '1', lengths: [10], trunkPrefix: '1' },
+  CA: { code: '1', lengths: [10], trunkPrefix: '1' },
+  GB: { code: '44', lengths: [9, 10], trunkPrefix: '0' },
+  IE: { code: '353', lengths: [7, 8, 9], trunkPrefix: '0' },
+  AU: { code: '61', lengths: [9], trunkPrefix: '0' },
+  NZ: { code: '64', lengths: [8, 9, 10], trunkPrefix: '0' },
+  IN: { code: '91', lengths: [10], trunkPrefix: '0' },
+  PK: { code: '92', lengths: [9, 10], trunkPrefix: '0' },
+  AE: { code: '971', lengths: [8, 9], trunkPrefix: '0' },
+  SG: { code: '65', lengths: [8], trunkPrefix: '' },
+  DE: { code: '49', lengths: [6, 7, 8, 9, 10, 11], trunkPrefix: '0' },
+  FR: { code: '33', lengths: [9], trunkPrefix: '0' },
+  ES: { code: '34', lengths: [9], trunkPrefix: '' },
+  IT: { code: '39', lengths: [6, 7, 8, 9, 10, 11], trunkPrefix: '' },
+  NL: { code: '31', lengths: [9], trunkPrefix: '0' },
+  ZA: { code: '27', lengths: [9], trunkPrefix: '0' },
+  BR: { code: '55', lengths: [10, 11], trunkPrefix: '0' },
+  MX: { code: '52', lengths: [10], trunkPrefix: '' },
+  JP: { code: '81', lengths: [9, 10], trunkPrefix: '0' },
+  PH: { code: '63', lengths: [10], trunkPrefix: '0' }
+};
+
+// Zoho fields treated as phone numbers when field types can't be looked up
+const PHONE_FIELD_NAMES = ['Phone', 'Mobile', 'Home_Phone', 'Other_Phone', 'Asst_Phone', 'Fax'];
+
+// Countries for an international number, longest calling code first ("1" is shared by US and CA)
+function findCountryByDigits(digits) {
+  return Object.values(COUNTRIES)
+    .filter(country => digits.startsWith(country.code))
+    .sort((a, b) => b.code.length - a.code.length)[0] || null;
+}
+
+// Normalize a phone number to E.164. Returns { valid, e164, reason }; empty values are valid
+// and normalize to null.
+function normalizePhoneNumber(value, defaultCountry = PHONE_SETTINGS.defaultCountry) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { valid: true, e164: null };
+  }
+  
+  // "+44 (0)20 ..." - the bracketed trunk prefix is never dialed with the country code
+  const raw = String(value).trim().replace(/\(0\)/g, '');
+  if (/[a-z]/i.test(raw)) {
+    // Letters usually mean an extension ("ext. 12") or a note, which E.164 can't hold
+    return { valid: false, e164: null, reason: 'contains letters or an extension' };
+  }
+  if (/[^\d\s()+.\-\/]/.test(raw)) {
+    return { valid: false, e164: null, reason: 'contains unexpected characters' };
+  }
+  
+  const international = raw.startsWith('+') || raw.startsWith('00');
+  let digits = raw.replace(/\D/g, '');
+  
+  if (international) {
+    if (raw.startsWith('00')) {
+      digits = digits.slice(2);
+    }
+    if (digits.length < 8 || digits.length > 15) {
+      return { valid: false, e164: null, reason: 'must have 8 to 15 digits including the country code' };
+    }
+    
+    const country = findCountryByDigits(digits);
+    if (country && !country.lengths.includes(digits.length - country.code.length)) {
+      return { valid: false, e164: null, reason: `wrong number of digits for country code +${country.code}` };
+    }
+    return { valid: true, e164: `+${digits}` };
+  }
+  
+  const country = COUNTRIES[defaultCountry];
+  if (!country) {
+    return { valid: false, e164: null, reason: `needs a country code (no rules for default country ${defaultCountry})` };
+  }
+  
+  // Drop the trunk prefix used for national dialing (0 in most countries, 1 in North America)
+  if (country.trunkPrefix && digits.startsWith(country.trunkPrefix) && !country.lengths.includes(digits.length)) {
+    digits = digits.slice(country.trunkPrefix.length);
+  }
+  if (!country.lengths.includes(digits.length)) {
+    return { valid: false, e164: null, reason: `wrong number of digits for ${defaultCountry}` };
+  }
+  
+  return { valid: true, e164: `+${country.code}${digits}` };
+}
+
+module.exports = {
+  PHONE_FIELD_NAMES,
+  normalizePhoneNumber
+};
\ No newline at end of file
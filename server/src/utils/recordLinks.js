@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../config/config');
+
+// Local index of Zoho lead <-> Airtable record links. Deleted Airtable records
+// can no longer be read, so this is how we find their Zoho counterpart.
+// Also remembers what converted leads turned into, and which records created in
+// Airtable are still waiting for their Zoho record.
+const LINKS_PATH = path.join(DATA_DIR, 'record-links.json');
+
+let links = null;
+
+function loadLinks() {
+  if (links) {
+    return links;
+  }
+  
+  links = { zohoToAirtable: {}, airtableToZoho: {}, convertedLeads: {}, newAirtableRecords: {} };
+  try {
+    if (fs.existsSync(LINKS_PATH)) {
+      links = { ...links, ...JSON.parse(fs.readFileSync(LINKS_PATH, 'utf8')) };
+    }
+  } catch (error) {
+    console.error('Error loading record links:', error.message);
+  }
+  return links;
+}
+
+function saveLinks() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpPath = `${LINKS_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(links, null, 2));
+    fs.renameSync(tmpPath, LINKS_PATH);
+  } catch (error) {
+    console.error('Error saving record links:', error.message);
+  }
+}
+
+// Remember that a Zoho lead and an Airtable record belong together
+function rememberLink(zohoId, airtableRecordId) {
+  const current = loadLinks();
+  if (current.zohoToAirtable[zohoId] === airtableRecordId && !current.newAirtableRecords[airtableRecordId]) {
+    return;
+  }
+  
+  current.zohoToAirtable[zohoId] = airtableRecordId;
+  current.airtableToZoho[airtableRecordId] = zohoId;
+  delete current.newAirtableRecords[airtableRecordId];
+  saveLinks();
+}
+
+// Forget a link once either side is gone or unlinked
+function forgetLink({ zohoId, airtableRecordId }) {
+  const current = loadLinks();
+  const linkedRecordId = airtableRecordId || current.zohoToAirtable[zohoId];
+  const linkedZohoId = zohoId || current.airtableToZoho[airtableRecordId];
+  
+  delete current.zohoToAirtable[linkedZohoId];
+  delete current.airtableToZoho[linkedRecordId];
+  delete current.newAirtableRecords[linkedRecordId];
+  saveLinks();
+}
+
+// Remember a record created in Airtable, so it gets a Zoho record once it has values.
+// Other records without a Zoho record (never synced, or unlinked on purpose) don't.
+function rememberNewAirtableRecord(airtableRecordId) {
+  const current = loadLinks();
+  if (current.newAirtableRecords[airtableRecordId]) {
+    return;
+  }
+  
+  current.newAirtableRecords[airtableRecordId] = new Date().toISOString();
+  saveLinks();
+}
+
+function isNewAirtableRecord(airtableRecordId) {
+  return Boolean(loadLinks().newAirtableRecords[airtableRecordId]);
+}
+
+function getLinkedAirtableRecordId(zohoId) {
+  return loadLinks().zohoToAirtable[zohoId] || null;
+}
+
+function getLinkedZohoId(airtableRecordId) {
+  return loadLinks().airtableToZoho[airtableRecordId] || null;
+}
+
+// Remember what a Zoho lead was converted into: { contactId, accountId, dealId }
+function rememberConversion(leadId, conversion) {
+  loadLinks().convertedLeads[leadId] = conversion;
+  saveLinks();
+}
+
+function getLeadConversion(leadId) {
+  return loadLinks().convertedLeads[leadId] || null;
+}
+
+// Zoho record that should receive changes meant for a linked Zoho record. Converted
+// leads no longer accept updates, so changes follow the lead to its Contact.
+function resolveZohoTarget(module, zohoId) {
+  const conversion = module === 'Leads' ? getLeadConversion(zohoId) : null;
+  if (conversion && conversion.contactId) {
+    return { module: 'Contacts', zohoId: conversion.contactId };
+  }
+  
+  return { module, zohoId };
+}
+
+module.exports = {
+  rememberLink,
+  forgetLink,
+  rememberNewAirtableRecord,
+  isNewAirtableRecord,
+  getLinkedAirtableRecordId,
+  getLinkedZohoId,
+  rememberConversion,
+  getLeadConversion,
+  resolveZohoTarget
+};
\ No newline at end of file
@@ -0,0 +1,19 @@
+// Errors of a sync step. A transient error (network, rate limit, 5xx) may go away when
+// the step is tried again; any other error fails the same way every time, so retrying
+// it only holds up the changes after it.
+
+// Error for a failed write; failure is the write's result ({ message, transient })
+function createSyncError(message, failure = {}) {
+  const error = new Error(failure.message ? `${message}: ${failure.message}` : message);
+  error.transient = Boolean(failure.transient);
+  return error;
+}
+
+function isTransientError(error) {
+  return Boolean(error && error.transient);
+}
+
+module.exports = {
+  createSyncError,
+  isTransientError
+};
\ No newline at end of file
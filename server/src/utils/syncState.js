@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../config/config');
+
+// Last value synced for each mapped field of each linked record, in comparable Zoho
+// form. A side whose value still matches it hasn't changed since that sync.
+const SYNC_STATE_PATH = path.join(DATA_DIR, 'sync-state.json');
+
+let syncState = null;
+
+function loadSyncState() {
+  if (syncState) {
+    return syncState;
+  }
+  
+  syncState = {};
+  try {
+    if (fs.existsSync(SYNC_STATE_PATH)) {
+      syncState = JSON.parse(fs.readFileSync(SYNC_STATE_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error loading sync state:', error.message);
+  }
+  return syncState;
+}
+
+function saveSyncState() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpPath = `${SYNC_STATE_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(syncState, null, 2));
+    fs.renameSync(tmpPath, SYNC_STATE_PATH);
+  } catch (error) {
+    console.error('Error saving sync state:', error.message);
+  }
+}
+
+function getStateKey(module, zohoId, zohoField) {
+  return `${module}:${zohoId}:${zohoField}`;
+}
+
+// Remember the value both sides of a field hold after a sync. When the sync settled a
+// conflict, discarded is the losing change ({ source, value }) - its webhook may still
+// be on the way and must not be synced.
+function rememberSyncedValue(module, zohoId, zohoField, value, discarded = null) {
+  const state = loadSyncState();
+  const key = getStateKey(module, zohoId, zohoField);
+  const syncedValue = value === undefined ? null : value;
+  
+  // Seeing the same value again keeps the losing change we're still waiting for
+  const previous = state[key];
+  if (!discarded && previous && JSON.stringify(previous.value) === JSON.stringify(syncedValue)) {
+    discarded = previous.discarded || null;
+  }
+  
+  state[key] = {
+    value: syncedValue,
+    syncedAt: new Date().toISOString(),
+    discarded
+  };
+  saveSyncState();
+}
+
+// { value, syncedAt, discarded } of the last sync, or null if the field was never synced
+function getSyncedValue(module, zohoId, zohoField) {
+  return loadSyncState()[getStateKey(module, zohoId, zohoField)] || null;
+}
+
+module.exports = {
+  rememberSyncedValue,
+  getSyncedValue
+};
\ No newline at end of file
@@ -1,64 +1,93 @@
-// Track recent syncs to prevent infinite loops
-const recentSyncs = new Map();
-const SYNC_COOLDOWN_MS = 10000; // 10 seconds cooldown
+const crypto = require('crypto');
+const { LOOP_PREVENTION } = require('../config/config');
+const { createEchoStore } = require('./echoStore');
 
-// Function to check if we should skip sync to prevent loops
-function shouldSkipSync(source, recordId, fieldName, newValue) {
-  const syncKey = `${source}:${recordId}:${fieldName}`;
-  const now = Date.now();
-  
-  if (recentSyncs.has(syncKey)) {
-    const lastSync = recentSyncs.get(syncKey);
-    if ((now - lastSync.timestamp) < SYNC_COOLDOWN_MS) {
-      // Check if the value is the same as what we just synced
-      if (JSON.stringify(lastSync.value) === JSON.stringify(newValue)) {
-        console.log(`⏭️  Skipping sync - recently synced ${syncKey} with same value`);
-        return true;
-      }
-    }
+// Every write we make to Zoho or Airtable comes back to us as a webhook ("echo").
+// Before writing we record the echo we expect; when the matching change arrives it
+// is consumed exactly once instead of being synced back to the other side.
+let store = null;
+
+// Pseudo field names for echoes of whole-record operations
+const RECORD_CREATED = '__created';
+const RECORD_DELETED = '__deleted';
+
+function getStore() {
+  if (!store) {
+    store = createEchoStore(LOOP_PREVENTION.store);
+    console.log(`📋 Using ${LOOP_PREVENTION.store} store for loop prevention`);
   }
+  return store;
+}
+
+// Short, stable hash of a field value
+function hashValue(value) {
+  const normalized = JSON.stringify(value === undefined ? null : value);
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+}
+
+function buildKeyPrefix(system, recordId, fieldName) {
+  return `${system}:${recordId}:${fieldName}:`;
+}
+
+function buildEchoKey(system, recordId, fieldName, value) {
+  return buildKeyPrefix(system, recordId, fieldName) + hashValue(value);
+}
+
+// Record that we are about to write this value, so its echo webhook can be ignored
+function recordExpectedEcho(system, recordId, fieldName, value) {
+  const ttl = LOOP_PREVENTION.ttlMs[system] || LOOP_PREVENTION.ttlMs.default;
+  const key = buildEchoKey(system, recordId, fieldName, value);
   
-  // Record this sync
-  recentSyncs.set(syncKey, { timestamp: now, value: newValue });
+  getStore().increment(key, Date.now() + ttl);
+  console.log(`📝 Expecting echo from ${system}: ${recordId}:${fieldName} (ttl ${ttl}ms)`);
+}
+
+// Check whether an incoming change is the echo of our own write. A match is consumed.
+function consumeExpectedEcho(system, recordId, fieldName, value) {
+  const now = Date.now();
+  const activeStore = getStore();
+  activeStore.purgeExpired(now);
   
-  // Clean up old entries (older than cooldown period)
-  for (const [key, data] of recentSyncs.entries()) {
-    if ((now - data.timestamp) > SYNC_COOLDOWN_MS) {
-      recentSyncs.delete(key);
-    }
+  const key = buildEchoKey(system, recordId, fieldName, value);
+  if (activeStore.decrement(key, now)) {
+    console.log(`⏭️  Skipping sync - ${system}:${recordId}:${fieldName} is the echo of our own write`);
+    return true;
   }
   
   return false;
 }
 
-// Clear sync history for a specific key (useful for testing)
-function clearSyncHistory(source, recordId, fieldName) {
-  const syncKey = `${source}:${recordId}:${fieldName}`;
-  recentSyncs.delete(syncKey);
+// Forget one expected echo of a write that failed - no webhook will bring it. Echoes of
+// other writes of the field stay.
+function forgetExpectedEcho(system, recordId, fieldName, value) {
+  getStore().decrement(buildEchoKey(system, recordId, fieldName, value), Date.now());
 }
 
-// Get current sync status (useful for debugging)
+// Clear expected echoes for a specific field (e.g. after the write failed, so no echo comes)
+function clearSyncHistory(system, recordId, fieldName) {
+  getStore().removeByPrefix(buildKeyPrefix(system, recordId, fieldName));
+}
+
+// Get expected echoes that have not arrived yet (useful for debugging)
 function getSyncStatus() {
   const now = Date.now();
-  const activeSyncs = [];
-  
-  for (const [key, data] of recentSyncs.entries()) {
-    if ((now - data.timestamp) < SYNC_COOLDOWN_MS) {
-      activeSyncs.push({
-        key,
-        timestamp: data.timestamp,
-        value: data.value,
-        age: now - data.timestamp
-      });
-    }
-  }
   
-  return activeSyncs;
+  return getStore().list()
+    .filter(entry => entry.expiresAt > now)
+    .map(entry => ({
+      key: entry.key,
+      count: entry.count,
+      expiresAt: entry.expiresAt,
+      expiresIn: entry.expiresAt - now
+    }));
 }
 
 module.exports = {
-  shouldSkipSync,
+  RECORD_CREATED,
+  RECORD_DELETED,
+  recordExpectedEcho,
+  consumeExpectedEcho,
+  forgetExpectedEcho,
   clearSyncHistory,
-  getSyncStatus,
-  SYNC_COOLDOWN_MS
+  getSyncStatus
 };
\ No newline at end of file
@@ -0,0 +1,284 @@
+const { ORG_TIME_ZONE } = require('../config/config');
+const { getLinkedZohoId, getLinkedAirtableRecordId } = require('./recordLinks');
+const { toDateOnly, toUtcIso, toOffsetDateTime, normalizeDateTime } = require('./dateConversion');
+const { PHONE_FIELD_NAMES, normalizePhoneNumber } = require('./phoneNumbers');
+
+// Converts field values between Airtable and Zoho field types. Field types come
+// from getFieldTypes() in fieldTypeService: { airtable: { [idOrName]: field }, zoho: { [apiName]: field } }.
+// When a type is unknown, values are converted by their shape instead.
+
+// Returned for a lookup or linked record whose counterpart isn't in the record link index
+// (yet). The field must be left alone rather than cleared - see isUnresolvedLink.
+const UNRESOLVED_LINK = Symbol('unresolved link');
+
+const AIRTABLE_TEXT_TYPES = ['singleLineText', 'multilineText', 'richText', 'email', 'url', 'phoneNumber'];
+const ZOHO_TEXT_TYPES = ['text', 'textarea', 'email', 'phone', 'website'];
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Readable text for a value from either side: Airtable select choices, collaborators
+// and linked records, or Zoho lookups and users
+function valueToText(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(valueToText).filter(text => text !== null).join(', ');
+  }
+  if (typeof value === 'object') {
+    return value.name || value.email || value.id || null;
+  }
+  return value;
+}
+
+// Whether a converted value is a link we can't translate, so the field must be skipped
+function isUnresolvedLink(value) {
+  return value === UNRESOLVED_LINK;
+}
+
+// Checkbox value of a cell from either side. Text values ("false", "0", "no") are
+// parsed, since Boolean() would make every non-empty string true.
+function toBoolean(value) {
+  if (typeof value === 'string') {
+    return !['', 'false', '0', 'no', 'off'].includes(value.trim().toLowerCase());
+  }
+  return Boolean(value);
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const parsed = parseFloat(String(value).replace(/[^0-9.eE+-]/g, ''));
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Airtable stores percentages as fractions (0.5 = 50%), Zoho as whole numbers.
+// Rounded so that converting back and forth gives the same value.
+function scalePercent(number, factor) {
+  return Number((number * factor).toPrecision(12));
+}
+
+// Airtable record ID of a linked record cell entry (webhooks send { id, name }, the REST API sends the ID)
+function getLinkedRecordId(entry) {
+  return typeof entry === 'object' && entry !== null ? entry.id : entry;
+}
+
+// Time zone an Airtable date field is shown in. Fields set to show the viewer's
+// local time ("client") have no fixed zone, so the org time zone is used.
+function getAirtableTimeZone(airtableField) {
+  const timeZone = airtableField && airtableField.options && airtableField.options.timeZone;
+  if (!timeZone || timeZone === 'client') {
+    return ORG_TIME_ZONE;
+  }
+  return timeZone === 'utc' ? 'UTC' : timeZone;
+}
+
+// Phone, Mobile and other phone-type fields. Without field types, known Zoho phone fields count.
+function isPhoneField(mapping, types = {}) {
+  const airtableField = (types.airtable || {})[mapping.airtable];
+  const zohoField = (types.zoho || {})[mapping.zoho];
+  
+  if ((zohoField && zohoField.data_type === 'phone') || (airtableField && airtableField.type === 'phoneNumber')) {
+    return true;
+  }
+  return !zohoField && PHONE_FIELD_NAMES.includes(mapping.zoho);
+}
+
+// Why a value must not be synced to the other side, or null if it can be
+function validateFieldValue(value, mapping, types = {}) {
+  if (isPhoneField(mapping, types)) {
+    const phone = normalizePhoneNumber(valueToText(value));
+    if (!phone.valid) {
+      return `${mapping.zoho}: "${valueToText(value)}" is not a valid phone number (${phone.reason})`;
+    }
+  }
+  return null;
+}
+
+// Phone numbers in E.164; invalid numbers are left as they are (see validateFieldValue)
+function normalizePhoneValue(value) {
+  const phone = normalizePhoneNumber(valueToText(value));
+  return phone.valid ? phone.e164 : value;
+}
+
+// Zoho value in the form we write it (phone numbers in E.164), so values typed
+// differently in Zoho compare equal to what we would sync
+function normalizeZohoValue(value, mapping, types = {}) {
+  return isPhoneField(mapping, types) ? normalizePhoneValue(value) : value;
+}
+
+// Convert an Airtable cell value to what the mapped Zoho field accepts
+function toZohoValue(value, mapping, types = {}) {
+  const airtableField = (types.airtable || {})[mapping.airtable];
+  const zohoField = (types.zoho || {})[mapping.zoho];
+  const airtableType = airtableField ? airtableField.type : null;
+  const zohoType = zohoField ? zohoField.data_type : null;
+  
+  // Unchecked checkboxes are simply missing in Airtable
+  if (zohoType === 'boolean' || airtableType === 'checkbox') {
+    return toBoolean(value);
+  }
+  
+  if (isEmpty(value)) {
+    return zohoType === 'multiselectpicklist' ? [] : null;
+  }
+  
+  if (isPhoneField(mapping, types)) {
+    return normalizePhoneValue(value);
+  }
+  
+  switch (zohoType) {
+    case 'picklist':
+      return valueToText(Array.isArray(value) ? value[0] : value);
+    
+    case 'multiselectpicklist':
+      return (Array.isArray(value) ? value : [value]).map(valueToText);
+    
+    case 'lookup': {
+      // Zoho lookups point at Zoho records - follow the linked Airtable record to its Zoho counterpart
+      const linkedRecordId = getLinkedRecordId(Array.isArray(value) ? value[0] : value);
+      const zohoId = getLinkedZohoId(linkedRecordId);
+      if (!zohoId) {
+        console.log(`⚠️  Linked Airtable record ${linkedRecordId} has no known Zoho counterpart - leaving lookup ${mapping.zoho} alone`);
+        return UNRESOLVED_LINK;
+      }
+      return { id: zohoId };
+    }
+    
+    case 'date':
+      // Airtable dateTimes are UTC - take the calendar day in the field's time zone
+      return toDateOnly(valueToText(value), getAirtableTimeZone(airtableField)) || value;
+    
+    case 'datetime':
+      return toOffsetDateTime(valueToText(value), ORG_TIME_ZONE) || value;
+    
+    case 'integer':
+    case 'bigint': {
+      const number = toNumber(valueToText(value));
+      return number === null ? null : Math.round(number);
+    }
+    
+    case 'double':
+    case 'decimal':
+    case 'currency':
+    case 'percent': {
+      const number = toNumber(valueToText(value));
+      if (number === null) {
+        return null;
+      }
+      return airtableType === 'percent' && zohoType === 'percent' ? scalePercent(number, 100) : number;
+    }
+    
+    default:
+      // Text-like Zoho fields (or unknown types): flatten objects and arrays to text
+      if (typeof value === 'object') {
+        return valueToText(value);
+      }
+      if (ZOHO_TEXT_TYPES.includes(zohoType)) {
+        return String(value);
+      }
+      return value;
+  }
+}
+
+// Convert a Zoho field value to what the mapped Airtable field accepts
+function toAirtableValue(value, mapping, types = {}) {
+  const airtableField = (types.airtable || {})[mapping.airtable];
+  const zohoField = (types.zoho || {})[mapping.zoho];
+  const airtableType = airtableField ? airtableField.type : null;
+  const zohoType = zohoField ? zohoField.data_type : null;
+  
+  if (airtableType === 'checkbox') {
+    return toBoolean(value);
+  }
+  
+  // Zoho uses "-None-" for an empty picklist
+  if (isEmpty(value) || value === '-None-') {
+    return ['multipleSelects', 'multipleRecordLinks'].includes(airtableType) ? [] : null;
+  }
+  
+  if (isPhoneField(mapping, types)) {
+    return normalizePhoneValue(value);
+  }
+  
+  switch (airtableType) {
+    case 'singleSelect':
+      return valueToText(Array.isArray(value) ? value[0] : value);
+    
+    case 'multipleSelects':
+      return (Array.isArray(value) ? value : [value]).map(valueToText);
+    
+    case 'multipleRecordLinks': {
+      // Linked records point at Airtable records - follow the Zoho lookup to its Airtable counterpart
+      const lookups = Array.isArray(value) ? value : [value];
+      const zohoIds = lookups.map(lookup => String(typeof lookup === 'object' ? lookup.id : lookup));
+      const recordIds = zohoIds.map(getLinkedAirtableRecordId);
+      
+      // Dropping a link we can't translate would remove it from the record
+      const unresolved = zohoIds.filter((zohoId, index) => !recordIds[index]);
+      if (unresolved.length > 0) {
+        console.log(`⚠️  Zoho record(s) ${unresolved.join(', ')} have no known Airtable counterpart - leaving ${mapping.airtable} alone`);
+        return UNRESOLVED_LINK;
+      }
+      return recordIds;
+    }
+    
+    case 'date':
+      // Zoho datetimes carry an offset - take the calendar day in the field's time zone
+      return toDateOnly(valueToText(value), getAirtableTimeZone(airtableField)) || value;
+    
+    case 'dateTime':
+      return toUtcIso(valueToText(value), getAirtableTimeZone(airtableField)) || value;
+    
+    case 'number':
+    case 'currency':
+    case 'percent':
+    case 'rating':
+    case 'duration': {
+      const number = toNumber(valueToText(value));
+      if (number === null) {
+        return null;
+      }
+      return airtableType === 'percent' && zohoType === 'percent' ? scalePercent(number, 0.01) : number;
+    }
+    
+    default:
+      // Text-like Airtable fields (or unknown types): flatten objects and arrays to text
+      if (typeof value === 'object') {
+        return valueToText(value);
+      }
+      if (AIRTABLE_TEXT_TYPES.includes(airtableType)) {
+        return String(value);
+      }
+      return value;
+  }
+}
+
+// Value in Zoho form reduced to something comparable across both systems: lookups
+// and other objects become their ID, datetimes become UTC, empty values (and links
+// that couldn't be translated) become null
+function toComparableValue(value) {
+  if (isUnresolvedLink(value) || isEmpty(value) || value === '-None-') {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toComparableValue);
+  }
+  if (typeof value === 'object') {
+    return value.id !== undefined ? String(value.id) : (value.name || null);
+  }
+  return normalizeDateTime(value);
+}
+
+module.exports = {
+  isPhoneField,
+  validateFieldValue,
+  isUnresolvedLink,
+  normalizeZohoValue,
+  toZohoValue,
+  toAirtableValue,
+  toComparableValue
+};
\ No newline at end of file
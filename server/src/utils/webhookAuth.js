@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { ADMIN_TOKEN } = require('../config/config');
+
+// Constant-time string comparison that tolerates different lengths
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Check the channel token Zoho echoes back in every notification
+function verifyZohoWebhook(req, config) {
+  if (!config.webhookToken) {
+    console.error('🔒 No Zoho webhook token configured - rerun "node zoho-setup.js webhook"');
+    return false;
+  }
+  
+  const token = req.body && req.body.token;
+  if (!token || !safeEqual(token, config.webhookToken)) {
+    return false;
+  }
+  
+  return true;
+}
+
+// Check the HMAC-SHA256 signature Airtable sends in X-Airtable-Content-MAC
+function verifyAirtableWebhook(req, config) {
+  if (!config.macSecretBase64) {
+    console.error('🔒 No Airtable webhook secret configured - rerun "node airtable-setup.js webhook"');
+    return false;
+  }
+  
+  const signature = req.get('X-Airtable-Content-MAC');
+  if (!signature || !req.rawBody) {
+    return false;
+  }
+  
+  const expected = 'hmac-sha256=' + crypto
+    .createHmac('sha256', Buffer.from(config.macSecretBase64, 'base64'))
+    .update(req.rawBody)
+    .digest('hex');
+  
+  return safeEqual(signature, expected);
+}
+
+// Log and reject a request that failed verification
+function rejectUnauthenticated(req, res, source) {
+  console.warn(`🚫 Rejected unauthenticated ${source} request from ${req.ip} (${req.method} ${req.originalUrl})`);
+  return res.status(401).json({ error: 'Unauthorized' });
+}
+
+// Middleware for /admin routes: expects "Authorization: Bearer <SYNC_ADMIN_TOKEN>"
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled - set SYNC_ADMIN_TOKEN to enable them' });
+  }
+  
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  if (!token || !safeEqual(token, ADMIN_TOKEN)) {
+    return rejectUnauthenticated(req, res, 'admin');
+  }
+  
+  next();
+}
+
+module.exports = {
+  verifyZohoWebhook,
+  verifyAirtableWebhook,
+  rejectUnauthenticated,
+  requireAdminToken
+};
\ No newline at end of file
@@ -10,7 +10,10 @@
  * Usage: 
  * - First run: node airtable-setup.js setup
  * - Setup webhook: node airtable-setup.js webhook
+ * - Watch the Zoho Fields mapping table: node airtable-setup.js mapping-webhook
  * - Test connection: node airtable-setup.js test
+ * - List the base's webhooks: node airtable-setup.js list
+ * - Show one webhook in detail: node airtable-setup.js inspect [webhookId]
  */
 
 const fs = require('fs');
@@ -29,9 +32,13 @@ const DEFAULT_CONFIG = {
   tableId: '',
   webhookUrl: '',
   webhookId: '',
+  macSecretBase64: '',
   apiUrl: 'https://api.airtable.com/v0'
 };
 
+// Zoho Fields table (field mapping) used when the config has no "mappingTableId"
+const DEFAULT_MAPPING_TABLE_ID = 'tbl0JfUjWhV4TvLz2';
+
 // Create interface for reading user input
 const rl = readline.createInterface({
   input: process.stdin,
@@ -218,16 +225,32 @@ async function setupWebhook(config) {
     return;
   }
   
+  // Tables for other Zoho modules (Contacts, Deals, ...) are listed under "tables"
+  const extraTables = Object.entries(config.tables || {});
+  for (const [module, table] of extraTables) {
+    if (!table.tableId) {
+      table.tableId = await getTableId({ ...config, tableName: table.tableName });
+      if (!table.tableId) {
+        console.error(`Could not find the table for Zoho module ${module}`);
+        return;
+      }
+    }
+  }
+  
   // Create new webhook with proper payload
   try {
+    // A webhook can only be scoped to one table - with several synced tables it
+    // watches the whole base and the server ignores tables it doesn't sync
+    const filters = { dataTypes: ['tableData'] };
+    if (extraTables.length === 0) {
+      filters.recordChangeScope = tableId;
+    }
+    
     const webhookData = {
       notificationUrl: config.webhookUrl,
       specification: {
         options: {
-          filters: {
-            dataTypes: ['tableData'],
-            recordChangeScope: tableId
-          }
+          filters
         }
       }
     };
@@ -247,11 +270,14 @@ async function setupWebhook(config) {
     
     console.log('✅ Webhook created successfully!');
     console.log('Webhook ID:', response.data.id);
-    console.log('Webhook will notify on changes to table:', config.tableName);
+    console.log('Webhook will notify on changes to table:', [config.tableName, ...extraTables.map(([, table]) => table.tableName)].join(', '));
     console.log('Expiration time:', response.data.expirationTime);
     
     // Save webhook ID to config
     config.webhookId = response.data.id;
+    // Secret for verifying the X-Airtable-Content-MAC signature. Airtable only returns it once.
+    config.macSecretBase64 = response.data.macSecretBase64;
+    config.webhookCursor = 1; // New webhooks start reading payloads from the first one
     config.tableId = tableId; // Save table ID for future use
     saveConfig(config);
     
@@ -268,6 +294,96 @@ async function setupWebhook(config) {
   }
 }
 
+/**
+ * Setup a second webhook on the Zoho Fields table, so the server reloads its
+ * field mappings as soon as the table is edited
+ * @param {Object} config - The configuration object
+ */
+async function setupMappingWebhook(config) {
+  if (!config.webhookUrl) {
+    console.log('Set up the main webhook first: node airtable-setup.js webhook');
+    return;
+  }
+  
+  if (config.mappingWebhook && config.mappingWebhook.id) {
+    console.log(`Mapping webhook ${config.mappingWebhook.id} already exists - run delete-mapping-webhook first to replace it.`);
+    return;
+  }
+  
+  console.log('\n=== Setting up Zoho Fields Table Webhook ===');
+  
+  const mappingTableId = config.mappingTableId || DEFAULT_MAPPING_TABLE_ID;
+  const webhookData = {
+    notificationUrl: config.webhookUrl,
+    specification: {
+      options: {
+        filters: {
+          dataTypes: ['tableData'],
+          recordChangeScope: mappingTableId
+        }
+      }
+    }
+  };
+  
+  try {
+    const response = await axios.post(
+      `${config.apiUrl}/bases/${config.baseId}/webhooks`,
+      webhookData,
+      {
+        headers: {
+          'Authorization': `Bearer ${config.apiToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    
+    console.log('✅ Mapping webhook created successfully!');
+    console.log('Webhook ID:', response.data.id);
+    console.log('Webhook will notify on changes to table:', mappingTableId);
+    console.log('Expiration time:', response.data.expirationTime);
+    
+    // Pings for this webhook are signed with its own secret
+    config.mappingWebhook = {
+      id: response.data.id,
+      macSecretBase64: response.data.macSecretBase64
+    };
+    saveConfig(config);
+    
+  } catch (error) {
+    console.error('❌ Error creating mapping webhook:', error.response?.data || error.message);
+  }
+}
+
+/**
+ * Delete the Zoho Fields table webhook
+ * @param {Object} config - The configuration object
+ */
+async function deleteMappingWebhook(config) {
+  if (!config.mappingWebhook || !config.mappingWebhook.id) {
+    console.log('No mapping webhook found in config.');
+    return;
+  }
+  
+  try {
+    await axios.delete(
+      `${config.apiUrl}/bases/${config.baseId}/webhooks/${config.mappingWebhook.id}`,
+      {
+        headers: {
+          'Authorization': `Bearer ${config.apiToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    
+    console.log('✅ Mapping webhook deleted successfully!');
+    delete config.mappingWebhook;
+    saveConfig(config);
+    
+  } catch (error) {
+    console.error('❌ Error deleting mapping webhook:', error.response?.data || error.message);
+  }
+}
+
 /**
  * Delete webhook
  * @param {Object} config - The configuration object
@@ -291,6 +407,8 @@ async function deleteWebhook(config) {
     
     console.log('✅ Webhook deleted successfully!');
     config.webhookId = '';
+    delete config.webhookCursor;
+    delete config.macSecretBase64;
     saveConfig(config);
     
   } catch (error) {
@@ -298,6 +416,118 @@ async function deleteWebhook(config) {
   }
 }
 
+/**
+ * Fetch every webhook of the base
+ * @param {Object} config - The configuration object
+ * @returns {Array|null} The webhooks, or null if they couldn't be read
+ */
+async function fetchWebhooks(config) {
+  try {
+    const response = await axios.get(
+      `${config.apiUrl}/bases/${config.baseId}/webhooks`,
+      {
+        headers: {
+          'Authorization': `Bearer ${config.apiToken}`
+        }
+      }
+    );
+    return response.data.webhooks || [];
+  } catch (error) {
+    console.error('❌ Error listing webhooks:', error.response?.data || error.message);
+    return null;
+  }
+}
+
+/**
+ * Name a webhook after what it's used for in the config
+ * @param {Object} config - The configuration object
+ * @param {string} webhookId - The webhook ID
+ * @returns {string} A label for the webhook
+ */
+function describeWebhookRole(config, webhookId) {
+  if (webhookId === config.webhookId) {
+    return 'records webhook';
+  }
+  if (config.mappingWebhook && webhookId === config.mappingWebhook.id) {
+    return 'mapping webhook';
+  }
+  return 'not used by the server';
+}
+
+/**
+ * Print the status of a webhook: expiration, cursor and notification results
+ * @param {Object} config - The configuration object
+ * @param {Object} webhook - The webhook as listed by Airtable
+ */
+function printWebhook(config, webhook) {
+  const expired = webhook.expirationTime && Date.parse(webhook.expirationTime) <= Date.now();
+  const lastResult = webhook.lastNotificationResult;
+  
+  console.log(`\n${webhook.id} (${describeWebhookRole(config, webhook.id)})`);
+  console.log(`  Notification URL:  ${webhook.notificationUrl || '-'}`);
+  console.log(`  Expires:           ${webhook.expirationTime || 'never'}${expired ? ' ⚠️  EXPIRED' : ''}`);
+  console.log(`  Next cursor:       ${webhook.cursorForNextPayload}`);
+  console.log(`  Enabled:           ${webhook.isHookEnabled ? 'yes' : 'no'}`);
+  console.log(`  Notifications:     ${webhook.areNotificationsEnabled ? 'on' : 'off ⚠️'}`);
+  console.log(`  Last success:      ${webhook.lastSuccessfulNotificationTime || 'never'}`);
+  
+  if (lastResult) {
+    const outcome = lastResult.success ? 'success' : `failed - ${lastResult.error ? lastResult.error.message : 'unknown error'}`;
+    console.log(`  Last notification: ${outcome} (${lastResult.completionTimestamp})${lastResult.willBeRetried ? ', will be retried' : ''}`);
+  }
+}
+
+/**
+ * List the base's webhooks
+ * @param {Object} config - The configuration object
+ */
+async function listWebhooks(config) {
+  const webhooks = await fetchWebhooks(config);
+  if (!webhooks) {
+    return;
+  }
+  
+  if (webhooks.length === 0) {
+    console.log('No webhooks found for this base. Create one with: node airtable-setup.js webhook');
+    return;
+  }
+  
+  console.log(`Found ${webhooks.length} webhook(s):`);
+  webhooks.forEach(webhook => printWebhook(config, webhook));
+}
+
+/**
+ * Show one webhook in detail, including its filters and the payloads the server hasn't read
+ * @param {Object} config - The configuration object
+ * @param {string} webhookId - The webhook ID (defaults to the records webhook)
+ */
+async function inspectWebhook(config, webhookId) {
+  webhookId = webhookId || config.webhookId;
+  if (!webhookId) {
+    console.log('No webhook ID given or found in config.');
+    return;
+  }
+  
+  const webhooks = await fetchWebhooks(config);
+  if (!webhooks) {
+    return;
+  }
+  
+  const webhook = webhooks.find(w => w.id === webhookId);
+  if (!webhook) {
+    console.log(`❌ Webhook ${webhookId} not found in base ${config.baseId}`);
+    return;
+  }
+  
+  printWebhook(config, webhook);
+  
+  if (webhookId === config.webhookId && config.webhookCursor) {
+    console.log(`  Server cursor:     ${config.webhookCursor} (${Math.max(0, webhook.cursorForNextPayload - config.webhookCursor)} payload(s) not read yet)`);
+  }
+  console.log('  Specification:');
+  console.log(JSON.stringify(webhook.specification, null, 2).replace(/^/gm, '    '));
+}
+
 /**
  * Main function to run the script
  */
@@ -324,6 +554,22 @@ async function main() {
       await deleteWebhook(config);
       break;
       
+    case 'mapping-webhook':
+      await setupMappingWebhook(config);
+      break;
+      
+    case 'delete-mapping-webhook':
+      await deleteMappingWebhook(config);
+      break;
+      
+    case 'list':
+      await listWebhooks(config);
+      break;
+      
+    case 'inspect':
+      await inspectWebhook(config, args[1]);
+      break;
+      
     case 'help':
     default:
       console.log('\\nAirtable Setup Script Usage:');
@@ -331,6 +577,10 @@ async function main() {
       console.log('  node airtable-setup.js test          - Test connection to Airtable');
       console.log('  node airtable-setup.js webhook       - Setup webhook notification');
       console.log('  node airtable-setup.js delete-webhook - Delete existing webhook');
+      console.log('  node airtable-setup.js mapping-webhook - Reload field mappings when the Zoho Fields table changes');
+      console.log('  node airtable-setup.js delete-mapping-webhook - Delete the Zoho Fields table webhook');
+      console.log('  node airtable-setup.js list          - List the base\'s webhooks with expiration, cursor and last error');
+      console.log('  node airtable-setup.js inspect [id]  - Show one webhook in detail (defaults to the configured one)');
       console.log('  node airtable-setup.js help          - Show this help message');
       break;
   }
@@ -16,6 +16,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const axios = require('axios');
 const readline = require('readline');
 
@@ -33,7 +34,19 @@ const DEFAULT_CONFIG = {
   modules: ['Contacts'], // Add other modules as needed
   webhookUrl: '',
   channelId: 'zoho_airtable_sync_channel',
-  apiDomain: 'https://www.zohoapis.com', // Change for different regions if needed
+  webhookToken: '', // Per-install secret Zoho echoes back in every notification
+  dataCenter: 'US', // Data center of the Zoho org: US, EU, IN, AU, JP, CA or CN
+};
+
+// Accounts server and API domain of each Zoho data center (same as the server's config)
+const DATA_CENTERS = {
+  US: { accountsUrl: 'https://accounts.zoho.com', apiDomain: 'https://www.zohoapis.com' },
+  EU: { accountsUrl: 'https://accounts.zoho.eu', apiDomain: 'https://www.zohoapis.eu' },
+  IN: { accountsUrl: 'https://accounts.zoho.in', apiDomain: 'https://www.zohoapis.in' },
+  AU: { accountsUrl: 'https://accounts.zoho.com.au', apiDomain: 'https://www.zohoapis.com.au' },
+  JP: { accountsUrl: 'https://accounts.zoho.jp', apiDomain: 'https://www.zohoapis.jp' },
+  CA: { accountsUrl: 'https://accounts.zohocloud.ca', apiDomain: 'https://www.zohoapis.ca' },
+  CN: { accountsUrl: 'https://accounts.zoho.com.cn', apiDomain: 'https://www.zohoapis.com.cn' }
 };
 
 // Create interface for reading user input
@@ -72,6 +85,71 @@ function loadConfig() {
   return { ...DEFAULT_CONFIG };
 }
 
+/**
+ * Get the lowercased host of a URL
+ * @param {string} url - The URL
+ * @returns {string} - The host
+ */
+function getUrlHost(url) {
+  return String(url).trim().replace(/^https?:\/\//i, '').replace(/\/.*$/, '').toLowerCase();
+}
+
+/**
+ * Find the data center an accounts server or API domain URL belongs to. Other hosts
+ * under a data center's domains count too, e.g. sandbox.zohoapis.com.
+ * @param {string} url - e.g. https://accounts.zoho.eu or https://www.zohoapis.in
+ * @returns {string|null} - The data center code, or null if the URL isn't a known one
+ */
+function findDataCenter(url) {
+  if (!url) {
+    return null;
+  }
+  
+  const host = getUrlHost(url);
+  const match = Object.entries(DATA_CENTERS).find(([, urls]) =>
+    [urls.accountsUrl, urls.apiDomain].some(dataCenterUrl => {
+      const domain = getUrlHost(dataCenterUrl).replace(/^(www|accounts)\./, '');
+      return host === domain || host.endsWith(`.${domain}`);
+    }));
+  return match ? match[0] : null;
+}
+
+/**
+ * Get the configured "apiDomain" when it isn't a data center's standard API domain
+ * (e.g. a sandbox). Standard ones are left to the data center, since configs used to
+ * default to the US domain.
+ * @param {Object} config - The configuration object
+ * @returns {string|null} - The API domain to use as it is, or null
+ */
+function getCustomApiDomain(config) {
+  const apiDomain = String(config.apiDomain || '').trim().replace(/\/+$/, '');
+  const isStandard = Object.values(DATA_CENTERS).some(urls => urls.apiDomain === apiDomain.toLowerCase());
+  return apiDomain && !isStandard ? apiDomain : null;
+}
+
+/**
+ * Get the configured data center. Configs written before "dataCenter" existed are
+ * matched by their "apiDomain".
+ * @param {Object} config - The configuration object
+ * @returns {string} - The data center code (US if none is configured)
+ */
+function getDataCenter(config) {
+  const dataCenter = String(config.dataCenter || '').toUpperCase();
+  return DATA_CENTERS[dataCenter] ? dataCenter : findDataCenter(config.apiDomain) || 'US';
+}
+
+/**
+ * Get the accounts server and API domain of the configured data center. A custom
+ * "apiDomain" is used instead of the data center's.
+ * @param {Object} config - The configuration object
+ * @returns {{accountsUrl: string, apiDomain: string}} - The data center's URLs
+ */
+function getDataCenterUrls(config) {
+  const urls = DATA_CENTERS[getDataCenter(config)];
+  const customApiDomain = getCustomApiDomain(config);
+  return customApiDomain ? { ...urls, apiDomain: customApiDomain } : urls;
+}
+
 /**
  * Save configuration to file
  * @param {Object} config - The configuration object to save
@@ -113,6 +191,15 @@ async function initialSetup() {
     config.modules = modulesInput.split(',').map(m => m.trim());
   }
   
+  // Get the data center the org lives in
+  const currentDataCenter = getDataCenter(config);
+  const dataCenterInput = await prompt(`Enter your Zoho data center (${Object.keys(DATA_CENTERS).join(', ')}; default: ${currentDataCenter}): `);
+  config.dataCenter = dataCenterInput.trim().toUpperCase() || currentDataCenter;
+  if (!DATA_CENTERS[config.dataCenter]) {
+    console.error(`Unknown data center "${dataCenterInput.trim()}"`);
+    return;
+  }
+  
   // Generate OAuth URL
   const scopes = [
     'ZohoCRM.modules.ALL',
@@ -120,7 +207,7 @@ async function initialSetup() {
     'ZohoCRM.notifications.ALL'
   ];
   
-  const oauthUrl = `https://accounts.zoho.com/oauth/v2/auth?scope=${encodeURIComponent(scopes.join(','))}&client_id=${config.clientId}&response_type=code&access_type=offline&redirect_uri=${encodeURIComponent(config.redirectUri)}`;
+  const oauthUrl = `${getDataCenterUrls(config).accountsUrl}/oauth/v2/auth?scope=${encodeURIComponent(scopes.join(','))}&client_id=${config.clientId}&response_type=code&access_type=offline&redirect_uri=${encodeURIComponent(config.redirectUri)}`;
   
   console.log('\n=== OAuth Authorization ===\n');
   console.log('1. Open the following URL in your browser:');
@@ -148,9 +235,18 @@ async function initialSetup() {
   const authCode = codeMatch[1];
   console.log(`\nAuthorization code obtained: ${authCode}`);
   
+  // Zoho redirects with the accounts server of the user's actual data center, which
+  // the code has to be exchanged with
+  const accountsServerMatch = redirectUrl.match(/accounts-server=([^&]+)/);
+  const redirectDataCenter = accountsServerMatch && findDataCenter(decodeURIComponent(accountsServerMatch[1]));
+  if (redirectDataCenter && redirectDataCenter !== config.dataCenter) {
+    console.log(`Your Zoho account is in the ${redirectDataCenter} data center - using it instead of ${config.dataCenter}`);
+    config.dataCenter = redirectDataCenter;
+  }
+  
   // Exchange auth code for tokens
   try {
-    const tokenResponse = await axios.post('https://accounts.zoho.com/oauth/v2/token', null, {
+    const tokenResponse = await axios.post(`${getDataCenterUrls(config).accountsUrl}/oauth/v2/token`, null, {
       params: {
         grant_type: 'authorization_code',
         client_id: config.clientId,
@@ -165,6 +261,13 @@ async function initialSetup() {
     // Calculate expiry time (now + expires_in seconds)
     config.tokenExpiry = Date.now() + (tokenResponse.data.expires_in * 1000);
     
+    // The token response names the API domain of the org
+    const apiDataCenter = findDataCenter(tokenResponse.data.api_domain);
+    if (apiDataCenter && apiDataCenter !== config.dataCenter) {
+      console.log(`Your Zoho org is in the ${apiDataCenter} data center - using it instead of ${config.dataCenter}`);
+      config.dataCenter = apiDataCenter;
+    }
+    
     console.log('\nAccess token and refresh token obtained successfully!');
     
     // Ask for webhook URL
@@ -195,7 +298,7 @@ async function refreshAccessToken(config) {
   }
   
   try {
-    const response = await axios.post('https://accounts.zoho.com/oauth/v2/token', null, {
+    const response = await axios.post(`${getDataCenterUrls(config).accountsUrl}/oauth/v2/token`, null, {
       params: {
         refresh_token: config.refreshToken,
         client_id: config.clientId,
@@ -248,16 +351,22 @@ async function setupWebhook(config) {
   // Generate a unique channel ID based on timestamp
   const channelId = Date.now();
   
+  // Generate the per-install token the server uses to authenticate notifications
+  if (!config.webhookToken) {
+    config.webhookToken = crypto.randomBytes(24).toString('hex'); // Zoho caps tokens at 50 characters
+    saveConfig(config);
+  }
+  
   try {
     const response = await axios.post(
-      `${config.apiDomain}/crm/v2/actions/watch`,
+      `${getDataCenterUrls(config).apiDomain}/crm/v2/actions/watch`,
       {
         watch: [
           {
             channel_id: channelId,
             events: events,
             notify_url: config.webhookUrl,
-            token: "zoho_sync_webhook_token"
+            token: config.webhookToken
           }
         ]
       },